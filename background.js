@@ -5,29 +5,32 @@
  * the page and is responsible for:
  * - Storing and serving user settings (enableTweets, enableMedia, etc.).
  * - Performing cross‑origin fetches that the content script cannot do because
- *   of the page's CSP (e.g., YouTube oEmbed, Twitter widget CDN, Fx/VxTwitter).
+ *   of the page's CSP (e.g., YouTube oEmbed, Twitter widget CDN, Fx/VxTwitter,
+ *   Twitch GQL for clips and VODs, Kick's channel/video/clip JSON).
  * - Normalizing Twitter/X tweet data so the content script can render a simple
  *   card without worrying about API differences.
+ * - Caching resolved metadata (per-provider TTLs, persisted in
+ *   chrome.storage.local) and collapsing duplicate in-flight requests.
+ * - Owning the "Mute embeds from this user" chat context menu item.
+ * - Rate limiting outbound fetches per host (concurrency cap, visible-first
+ *   priority, 429/503 backoff) and reporting failures as stable error codes.
  *
  * The content script talks to this worker via chrome.runtime.sendMessage.
  * Each handler below returns a simple JSON payload to keep the content script
  * small and focused on rendering.
  *
- * User‑visible feature toggles with their default values. We merge these with
- * anything the user already has saved in chrome.storage on install.
+ * User‑visible feature toggles with their default values (declared in
+ * providers.js). We merge these with anything the user already has saved in
+ * chrome.storage on install.
  */
 
+// Chrome runs this file as a service worker and needs the shared registry
+// imported; Firefox loads providers.js first via background.scripts.
+if (typeof importScripts === 'function' && typeof EDGG === 'undefined') importScripts('providers.js');
+
 // Cross-browser compatibility: Firefox uses 'browser' namespace, Chrome uses 'chrome'
 const api = typeof browser !== 'undefined' ? browser : chrome;
-const DEFAULTS = {
-  enableTweets: true,
-  enableMedia: true,
-  enableYouTube: true,
-  enableTwitch: true,
-  enableKick: true,
-  enableInstagram: true,
-  blurMedia: false
-};
+const DEFAULTS = EDGG.defaultSettings();
 
 // Initialize defaults on install
 // Seed settings on first install (or keep existing on update).
@@ -36,41 +39,375 @@ api.runtime.onInstalled.addListener(async () => {
   await api.storage.sync.set({ ...DEFAULTS, ...current });
 });
 
-// Utility: simple domain whitelist (exact host or suffix match where specified)
-// Minimal allowlist for background fetches. This is intentionally smaller than
-// the content script's, and only includes hosts where we actually need the
-// background to fetch (because of page CSP and/or CORS restrictions).
-// Only hosts actually fetched via bgFetch (keep tight). For tweet resolution, the
-// background fetchTweet handler does its own cross-origin fetches and does not
-// consult this whitelist.
-const MEDIA_WHITELIST = new Set([
-  // YouTube watch page probe (live thumb detection)
-  "youtube.com","www.youtube.com","youtu.be",
+// Right-click "Mute embeds from this user" in chat. Only the content script
+// knows which chat line was clicked, so the click is forwarded to that frame.
+const MUTE_MENU_ID = "edgg-mute-user";
+
+api.runtime.onInstalled.addListener(() => {
+  try {
+    api.contextMenus.create({
+      id: MUTE_MENU_ID,
+      title: "Mute embeds from this user",
+      contexts: ["page", "link", "selection"],
+      documentUrlPatterns: ["https://destiny.gg/embed/chat*", "https://www.destiny.gg/embed/chat*"]
+    });
+  } catch (_) {}
+});
+
+api.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== MUTE_MENU_ID || !tab || tab.id == null) return;
+  try {
+    const p = api.tabs.sendMessage(tab.id, { type: "muteContextUser" }, { frameId: info.frameId || 0 });
+    if (p && p.catch) p.catch(() => {});
+  } catch (_) {}
+});
+
+// ---- Host policy ----
+// bgFetch may only reach the metadata pages and media hosts declared in
+// providers.js, plus hosts the user added on the options page, minus any they
+// blocked. The user's lists are mirrored here from chrome.storage.sync. Tweet,
+// Twitch and Kick resolution do their own fetches and do not consult this
+// policy.
+let hostPolicy = null;
+
+function loadHostPolicy() {
+  if (!hostPolicy) {
+    hostPolicy = api.storage.sync.get(["customMediaHosts", "blockedMediaHosts"])
+      .then(cfg => ({
+        customMediaHosts: cfg.customMediaHosts || [],
+        blockedMediaHosts: cfg.blockedMediaHosts || []
+      }))
+      .catch(() => ({ customMediaHosts: [], blockedMediaHosts: [] }));
+  }
+  return hostPolicy;
+}
+
+api.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && (changes.customMediaHosts || changes.blockedMediaHosts)) hostPolicy = null;
+});
+
+// ---- Metadata cache ----
+// Results of bgFetch/oembed/fetchTweet are kept in memory and mirrored to
+// chrome.storage.local so a link spammed across chat (or across tabs) is only
+// fetched once per TTL. Identical requests already in flight share a promise.
+const CACHE_TTL_MS = {
+  live: 60 * 1000,                 // Twitch/Kick channel pages: live state changes quickly
+  youtube: 5 * 60 * 1000,          // YouTube watch page probe (live/premiere detection)
+  twitch: 10 * 60 * 1000,          // Twitch clip/VOD lookups (clip playback tokens expire)
+  page: 30 * 60 * 1000,            // Imgur/Instagram/Reddit and other page scrapes
+  tweet: 6 * 60 * 60 * 1000,       // Tweet/Bluesky post text and media barely change once posted
+  oembed: 24 * 60 * 60 * 1000,     // oEmbed titles and thumbnails
+  shortlink: 24 * 60 * 60 * 1000   // t.co redirects never change
+};
+const CACHE_PREFIX = "edggCache:";
+const CACHE_INDEX_KEY = "edggCacheIndex";
+const CACHE_MAX_ENTRIES = 400;
+const CACHE_MAX_ENTRY_BYTES = 256 * 1024;   // don't keep huge HTML pages
+const CACHE_MAX_TOTAL_BYTES = 6 * 1024 * 1024; // stay well under storage.local's quota
+
+const memCache = new Map();  // key -> { expires, value, size }
+let memCacheBytes = 0;
+const inflight = new Map();  // key -> Promise<value>
+let cacheIndex = null;       // key -> { e: expiresAt, s: approxBytes }, mirrored to storage
+
+/** Pick a TTL bucket for a bgFetch URL. */
+function ttlForUrl(u) {
+  const h = u.hostname.replace(/^www\./, "");
+  if (h === "twitch.tv" || h === "kick.com") return CACHE_TTL_MS.live;
+  if (h === "youtube.com" || h === "youtu.be") return CACHE_TTL_MS.youtube;
+  if (h === "t.co") return CACHE_TTL_MS.shortlink;
+  return CACHE_TTL_MS.page;
+}
+
+async function loadCacheIndex() {
+  if (cacheIndex) return cacheIndex;
+  try {
+    const got = await api.storage.local.get(CACHE_INDEX_KEY);
+    cacheIndex = (got && got[CACHE_INDEX_KEY]) || {};
+  } catch (_) {
+    cacheIndex = {};
+  }
+  return cacheIndex;
+}
 
-  // Twitch metadata (channel/VOD overlays)
-  "twitch.tv","www.twitch.tv",
+/** Drop expired entries, then the soonest-to-expire ones until under budget. */
+async function pruneCache() {
+  const index = await loadCacheIndex();
+  const now = Date.now();
+  const drop = [];
+  for (const [k, meta] of Object.entries(index)) {
+    if (!meta || meta.e <= now) drop.push(k);
+  }
+  drop.forEach(k => delete index[k]);
+  const live = Object.entries(index).sort((a, b) => a[1].e - b[1].e);
+  let total = live.reduce((n, [, meta]) => n + (meta.s || 0), 0);
+  while (live.length && (live.length > CACHE_MAX_ENTRIES || total > CACHE_MAX_TOTAL_BYTES)) {
+    const [k, meta] = live.shift();
+    total -= meta.s || 0;
+    delete index[k];
+    drop.push(k);
+  }
+  for (const k of [...memCache.keys()]) {
+    const m = memCache.get(k);
+    if (m && m.expires <= now) dropMemEntry(k);
+  }
+  try {
+    if (drop.length) await api.storage.local.remove(drop.map(k => CACHE_PREFIX + k));
+    await api.storage.local.set({ [CACHE_INDEX_KEY]: index });
+  } catch (_) {}
+}
+
+async function readCache(key) {
+  const now = Date.now();
+  const mem = memCache.get(key);
+  if (mem && mem.expires > now) return mem;
+  const index = await loadCacheIndex();
+  const meta = index[key];
+  if (!meta || meta.e <= now) return null;
+  try {
+    const got = await api.storage.local.get(CACHE_PREFIX + key);
+    const entry = got && got[CACHE_PREFIX + key];
+    if (!entry || entry.expires <= now) return null;
+    keepInMemory(key, entry, meta.s || 0);
+    return entry;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Mirror an entry in memory under the same per-entry and total byte budget as
+ * storage, so whole page bodies can't pile up in the worker.
+ */
+function keepInMemory(key, entry, size) {
+  dropMemEntry(key);
+  if (!(size <= CACHE_MAX_ENTRY_BYTES)) return;
+  memCache.set(key, { expires: entry.expires, value: entry.value, size });
+  memCacheBytes += size;
+  // Map iteration order is insertion order: evict the oldest first.
+  while (memCache.size > CACHE_MAX_ENTRIES || memCacheBytes > CACHE_MAX_TOTAL_BYTES) dropMemEntry(memCache.keys().next().value);
+}
+
+function dropMemEntry(key) {
+  const m = memCache.get(key);
+  if (!m) return;
+  memCacheBytes -= m.size;
+  memCache.delete(key);
+}
+
+async function writeCache(key, ttlMs, value) {
+  const entry = { expires: Date.now() + ttlMs, value };
+  let size = 0;
+  try { size = JSON.stringify(entry).length; } catch (_) { return; }
+  keepInMemory(key, entry, size);
+  if (size > CACHE_MAX_ENTRY_BYTES) return;
+  const index = await loadCacheIndex();
+  index[key] = { e: entry.expires, s: size };
+  try {
+    await api.storage.local.set({ [CACHE_PREFIX + key]: entry, [CACHE_INDEX_KEY]: index });
+  } catch (_) {
+    // Most likely over quota: make room and carry on without persisting.
+    delete index[key];
+    await pruneCache();
+  }
+  if (Object.keys(index).length > CACHE_MAX_ENTRIES) await pruneCache();
+}
+
+/**
+ * Return a cached result for `key`, or run `producer` once and cache its
+ * result for `ttlMs`. Concurrent callers for the same key share one promise.
+ * Only successful results (`ok: true`) are cached so failures retry.
+ */
+function cached(key, ttlMs, producer) {
+  if (inflight.has(key)) return inflight.get(key);
+  const p = (async () => {
+    const hit = await readCache(key);
+    if (hit) return hit.value;
+    const value = await producer();
+    if (value && value.ok) {
+      try { await writeCache(key, ttlMs, value); } catch (_) {}
+    }
+    return value;
+  })().finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+// Sweep stale entries whenever the worker starts up.
+pruneCache();
+
+// ---- Fetch scheduler ----
+// Every outbound fetch goes through schedule(): requests are queued per host
+// with a concurrency cap, embeds visible in chat jump the queue, and 429/503
+// responses pause the whole host with exponential backoff (honoring
+// Retry-After) before the request is retried.
+const DEFAULT_HOST_CONCURRENCY = 3;
+const HOST_CONCURRENCY = {
+  "cdn.syndication.twimg.com": 4,
+  "publish.twitter.com": 2,
+  "fxtwitter.com": 2,
+  "api.vxtwitter.com": 2,
+  "vxtwitter.com": 2,
+  "www.reddit.com": 2,
+  "gql.twitch.tv": 2,
+  "www.instagram.com": 1,
+  "ddinstagram.com": 1
+};
+const FETCH_PRIORITY = { visible: 0, normal: 1, background: 2 };
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const RETRY_MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 60 * 1000;
+
+const hostQueues = new Map(); // host -> { active, pausedUntil, timer, jobs: [] }
+let jobSeq = 0;
+
+function getHostQueue(host) {
+  let q = hostQueues.get(host);
+  if (!q) {
+    q = { active: 0, pausedUntil: 0, timer: null, jobs: [] };
+    hostQueues.set(host, q);
+  }
+  return q;
+}
+
+/** Parse Retry-After (delta seconds or HTTP date) into milliseconds. */
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+function backoffDelay(attempt, retryAfterMs) {
+  if (retryAfterMs) return Math.min(RETRY_MAX_DELAY_MS, retryAfterMs);
+  const exp = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+  return Math.min(RETRY_MAX_DELAY_MS, exp + Math.random() * RETRY_BASE_DELAY_MS);
+}
+
+function pumpHost(host) {
+  const q = getHostQueue(host);
+  const limit = HOST_CONCURRENCY[host] || DEFAULT_HOST_CONCURRENCY;
+  const wait = q.pausedUntil - Date.now();
+  if (wait > 0) {
+    if (!q.timer) q.timer = setTimeout(() => { q.timer = null; pumpHost(host); }, wait);
+    return;
+  }
+  while (q.active < limit && q.jobs.length) {
+    q.jobs.sort((a, b) => (a.priority - b.priority) || (a.seq - b.seq));
+    runJob(host, q, q.jobs.shift());
+  }
+}
 
-  // T.co shortlink expansion
-  "t.co",
+// A job holds its host slot until the response body has been read or
+// cancelled, so the cap limits downloads and not just requests. The timeout
+// covers the whole exchange and frees the slot even if nobody reads the body.
+async function runJob(host, q, job) {
+  q.active++;
+  const ctrl = new AbortController();
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    clearTimeout(timeout);
+    q.active--;
+    pumpHost(host);
+  };
+  const timeout = setTimeout(() => { ctrl.abort(); release(); }, FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(job.url, { ...job.init, signal: ctrl.signal });
+    if ((res.status === 429 || res.status === 503) && job.attempt + 1 < RETRY_MAX_ATTEMPTS) {
+      const delay = backoffDelay(job.attempt, parseRetryAfter(res.headers.get("retry-after")));
+      // Free the connection; the retry makes a new request
+      discardBody(res);
+      q.pausedUntil = Math.max(q.pausedUntil, Date.now() + delay);
+      job.attempt++;
+      q.jobs.push(job);
+      release();
+    } else {
+      job.resolve(releaseAfterBody(res, release));
+    }
+  } catch (e) {
+    release();
+    job.reject(e);
+  }
+}
 
-  // Imgur page resolution (og:image/og:video)
-  "imgur.com","i.imgur.com",
+/** Pass `res` on with a body that calls `release` once it is drained, fails or is cancelled. */
+function releaseAfterBody(res, release) {
+  if (!res.body) { release(); return res; }
+  try {
+    const reader = res.body.getReader();
+    const body = new ReadableStream({
+      async pull(controller) {
+        try {
+          const { done, value } = await reader.read();
+          if (done) { release(); controller.close(); } else controller.enqueue(value);
+        } catch (e) {
+          release();
+          controller.error(e);
+        }
+      },
+      cancel(reason) {
+        return reader.cancel(reason).finally(release);
+      }
+    });
+    const out = new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+    // Callers read the final URL after redirects (t.co expansion)
+    Object.defineProperty(out, "url", { value: res.url });
+    Object.defineProperty(out, "redirected", { value: res.redirected });
+    return out;
+  } catch (_) {
+    release();
+    return res;
+  }
+}
 
-  // Instagram post/reel resolution and ddinstagram mirror
-  "instagram.com","www.instagram.com","ddinstagram.com","www.ddinstagram.com",
+/** Drop a response body nobody will read, freeing its connection and host slot. */
+function discardBody(res) {
+  try { res.body?.cancel().catch(() => {}); } catch (_) {}
+}
 
-  // Kick metadata
-  "kick.com",
+/**
+ * Queue a fetch behind the per-host limiter. `priority` is one of the
+ * FETCH_PRIORITY keys; the content script sends "visible" for embeds in view.
+ * Resolves with the final Response (which may still be a 429 once retries are
+ * exhausted) and rejects on network errors or timeouts.
+ */
+function schedule(url, init = {}, priority = "normal") {
+  let host = "";
+  try { host = new URL(url).hostname; } catch (_) { return Promise.reject(new TypeError("invalid_url")); }
+  return new Promise((resolve, reject) => {
+    const p = FETCH_PRIORITY[priority] ?? FETCH_PRIORITY.normal;
+    getHostQueue(host).jobs.push({ url, init, priority: p, seq: jobSeq++, attempt: 0, resolve, reject });
+    pumpHost(host);
+  });
+}
 
-  // Reddit post JSON for embeds
-  "reddit.com","www.reddit.com",
+// Structured failures returned to the content script: `error` is a stable
+// code, with `status`/`retryAfterMs` when a response was received.
+function httpFailure(res) {
+  discardBody(res);
+  const status = res.status;
+  const out = { ok: false, status };
+  if (status === 429 || status === 503) {
+    out.error = "rate_limited";
+    const retryAfterMs = parseRetryAfter(res.headers.get("retry-after"));
+    if (retryAfterMs) out.retryAfterMs = retryAfterMs;
+  } else if (status === 404 || status === 410) {
+    out.error = "not_found";
+  } else {
+    out.error = "http_error";
+  }
+  return out;
+}
 
-  // Optional: media CDNs encountered in other resolvers
-  "giphy.com","media.giphy.com","tenor.com","media.tenor.com",
-  "streamable.com","dropbox.com","onedrive.live.com","photos.google.com",
-  "lh3.googleusercontent.com","icloud.com","res.cloudinary.com","s3.amazonaws.com",
-  "cdn.discordapp.com","i.4cdn.org","i.kym-cdn.com","video.twimg.com"
-]);
+function exceptionFailure(e) {
+  if (e && e.name === "AbortError") return { ok: false, error: "timeout" };
+  if (e && e.message === "invalid_url") return { ok: false, error: "invalid_url" };
+  return { ok: false, error: "network_error", detail: String(e) };
+}
 
 // Background fetch with CORS bypass (where allowed by host_permissions)
 api.runtime.onMessage.addListener((msg, sender, sendResponse) => {
@@ -78,19 +415,23 @@ api.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   // wants to inspect (e.g., Imgur HTML to extract og:image).
   if (msg?.type === "bgFetch") {
     (async () => {
+      let url;
+      try { url = new URL(msg.url); } catch (_) { return sendResponse({ ok: false, error: "invalid_url" }); }
+      if (!EDGG.isPageFetchAllowed(url.hostname, await loadHostPolicy())) {
+        return sendResponse({ ok: false, error: "blocked_by_whitelist" });
+      }
       try {
-        const url = new URL(msg.url);
-        if (!MEDIA_WHITELIST.has(url.hostname)) {
-          return sendResponse({ ok: false, error: "blocked_by_whitelist" });
-        }
-        const res = await fetch(msg.url, { credentials: "omit", cache: "no-store", mode: "cors" });
-        const contentType = res.headers.get("content-type") || "";
-        const text = contentType.includes("application/json") ? await res.text() : await res.text();
-        // Expose the final URL after redirects so callers can resolve shortlinks (e.g., t.co)
-        const finalUrl = res.url || msg.url;
-        sendResponse({ ok: res.ok, status: res.status, contentType, body: text, finalUrl });
+        sendResponse(await cached(`bgFetch:${url.href}`, ttlForUrl(url), async () => {
+          const res = await schedule(msg.url, { credentials: "omit", cache: "no-store", mode: "cors" }, msg.priority);
+          const contentType = res.headers.get("content-type") || "";
+          const text = await res.text();
+          // Expose the final URL after redirects so callers can resolve shortlinks (e.g., t.co)
+          const finalUrl = res.url || msg.url;
+          const base = res.ok ? { ok: true, status: res.status } : httpFailure(res);
+          return { ...base, contentType, body: text, finalUrl };
+        }));
       } catch (e) {
-        sendResponse({ ok: false, error: String(e) });
+        sendResponse(exceptionFailure(e));
       }
     })();
     return true; // keep channel open for async sendResponse
@@ -109,6 +450,7 @@ api.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg?.type === "setSettings") {
     (async () => {
       await api.storage.sync.set(msg.settings || {});
+      hostPolicy = null;
       // Broadcast to all tabs so content script can hot-apply new behavior for future messages
       const tabs = await api.tabs.query({});
       for (const tab of tabs) {
@@ -132,208 +474,697 @@ api.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           return sendResponse({ ok: false, error: "invalid_provider" });
         }
         const oembedUrl = `https://www.youtube.com/oembed?url=${encodeURIComponent(msg.videoUrl)}&format=json`;
-        const res = await fetch(oembedUrl, { credentials: "omit", cache: "no-store", mode: "cors" });
-        if (!res.ok) return sendResponse({ ok: false, status: res.status });
-        const json = await res.json();
-        sendResponse({ ok: true, data: json });
+        sendResponse(await cached(`oembed:${msg.videoUrl}`, CACHE_TTL_MS.oembed, async () => {
+          const res = await schedule(oembedUrl, { credentials: "omit", cache: "no-store", mode: "cors" }, msg.priority);
+          if (!res.ok) return httpFailure(res);
+          const json = await res.json();
+          return { ok: true, data: json };
+        }));
       } catch (e) {
-        sendResponse({ ok: false, error: String(e) });
+        sendResponse(exceptionFailure(e));
       }
     })();
     return true;
   }
 
-  // Resolve and normalize a Twitter/X tweet for a given URL. We first try the
-  // official widget CDN JSON (works without API keys), then enrich/repair
-  // using Fx/VxTwitter to extract direct media URLs for reliable rendering.
+  // Pop-out YouTube player for chat pages whose CSP refuses both the
+  // youtube-nocookie iframe and the framed player.html.
+  if (msg?.type === "openYouTubePlayer") {
+    const player = msg.player || {};
+    if (!EDGG.youTubeEmbedUrl(player)) {
+      sendResponse({ ok: false, error: "invalid_video" });
+      return;
+    }
+    const url = api.runtime.getURL("player.html") + "#" + EDGG.youTubePlayerHash(player);
+    Promise.resolve(api.windows.create({ url, type: "popup", width: player.short ? 405 : 854, height: player.short ? 720 : 480 }))
+      .then(() => sendResponse({ ok: true }), (e) => sendResponse(exceptionFailure(e)));
+    return true;
+  }
+
+  // Twitch clip or VOD metadata (see resolveTwitch).
+  if (msg?.type === "fetchTwitch") {
+    const key = msg.clip ? `twitch:clip:${msg.clip}` : `twitch:video:${msg.video}`;
+    cached(key, CACHE_TTL_MS.twitch, () => resolveTwitch(msg, msg.priority)).then(sendResponse);
+    return true; // async
+  }
+
+  // Kick VOD or clip metadata (see resolveKick).
+  if (msg?.type === "fetchKick") {
+    const key = msg.clip ? `kick:clip:${msg.clip}` : `kick:video:${msg.video}`;
+    cached(key, CACHE_TTL_MS.page, () => resolveKick(msg, msg.priority)).then(sendResponse);
+    return true; // async
+  }
+
+  // Live state of a Twitch or Kick channel (see resolveLiveStatus).
+  if (msg?.type === "liveStatus") {
+    const platform = String(msg.platform || "");
+    const channel = String(msg.channel || "").toLowerCase();
+    cached(`live:${platform}:${channel}`, CACHE_TTL_MS.live, () => resolveLiveStatus(platform, channel, msg.priority)).then(sendResponse);
+    return true; // async
+  }
+
+  // Resolve and normalize a Twitter/X tweet for a given URL (see resolveTweet).
   if (msg && msg.type === 'fetchTweet') {
     const rawUrl = String(msg.url || '');
+    const id = EDGG.extractTweetId(rawUrl);
+    cached(`tweet:${id || rawUrl}`, CACHE_TTL_MS.tweet, () => resolveTweet(rawUrl, msg.priority)).then(sendResponse);
+    return true; // async
+  }
 
-    // Pull the numeric tweet ID out of any supported URL shape.
-    function extractTweetId(u) {
-      try {
-        const url = new URL(u);
-        // Support /status/<id> and /i/web/status/<id>
-        const m = url.pathname.match(/\/status\/(\d+)/) || url.pathname.match(/\/i\/web\/status\/(\d+)/);
-        return m ? m[1] : null;
-      } catch (_) {
-        return null;
+  // Resolve and normalize a Bluesky post (see resolveBluesky).
+  if (msg && msg.type === 'fetchBluesky') {
+    const rawUrl = String(msg.url || '');
+    const post = EDGG.parseBlueskyPostUrl(rawUrl);
+    cached(`bsky:${post ? `${post.actor}/${post.rkey}` : rawUrl}`, CACHE_TTL_MS.tweet, () => resolveBluesky(rawUrl, msg.priority)).then(sendResponse);
+    return true; // async
+  }
+});
+
+// Pull the numeric tweet ID out of any supported URL shape.
+/**
+ * Resolve and normalize a Twitter/X tweet for a given URL. We first try the
+ * official widget CDN JSON (works without API keys), then enrich/repair
+ * using Fx/VxTwitter to extract direct media URLs for reliable rendering.
+ * Resolves to the payload the content script receives.
+ */
+async function resolveTweet(rawUrl, priority) {
+  const id = EDGG.extractTweetId(rawUrl);
+  const cdnById = id ? `https://cdn.syndication.twimg.com/widgets/tweet?id=${encodeURIComponent(id)}&dnt=true` : null;
+  const cdnByUrl = `https://cdn.syndication.twimg.com/widgets/tweet?url=${encodeURIComponent(rawUrl)}&dnt=true`;
+  const oembedUrl = `https://publish.twitter.com/oembed?omit_script=1&hide_thread=1&align=left&dnt=true&url=${encodeURIComponent(rawUrl)}`;
+
+  try {
+    // Try to extract photo/video URLs via Fx/VxTwitter. We don't depend on
+    // their schema — we walk the JSON for any pbs.twimg.com or
+    // video.twimg.com links and normalize them for the content script.
+    async function enrichFromFxVx(tid) {
+      const out = { photos: [], videos: [], text: '' };
+      if (!tid) return out;
+
+      // Try FX first
+      const tryUrls = [
+        `https://fxtwitter.com/i/status/${encodeURIComponent(tid)}.json`,
+        `https://api.vxtwitter.com/Twitter/status/${encodeURIComponent(tid)}`,
+        `https://vxtwitter.com/i/status/${encodeURIComponent(tid)}.json`
+      ];
+
+      for (const u of tryUrls) {
+        try {
+          const resp = await schedule(u, { credentials: 'omit', cache: 'no-cache' }, priority);
+          if (!resp.ok) { discardBody(resp); continue; }
+          const j = await resp.json();
+
+          // Try to capture tweet text if provided in common fields
+          try {
+            const t = (typeof j.text === 'string' && j.text)
+              || (j.tweet && (typeof j.tweet.full_text === 'string' && j.tweet.full_text))
+              || (j.tweet && (typeof j.tweet.text === 'string' && j.tweet.text))
+              || '';
+            if (t && !out.text) out.text = String(t);
+          } catch {}
+
+          // Heuristic scan for direct media URLs
+          const scan = (obj) => {
+            const photos = [];
+            const videos = [];
+            const thumbs = []; // video poster frames
+            const walk = (v) => {
+              if (!v) return;
+              if (typeof v === 'string') {
+                const s = v;
+                if (/^https?:\/\/pbs\.twimg\.com\/media\//.test(s) && /\.(?:jpg|jpeg|png|gif|webp)(?:$|\?)/i.test(s)) {
+                  photos.push(s);
+                }
+                if (/^https?:\/\/video\.twimg\.com\//.test(s) && /\.mp4(?:$|\?)/i.test(s)) {
+                  videos.push({ url: s, type: 'video/mp4' });
+                }
+                if (/^https?:\/\/pbs\.twimg\.com\/(?:ext_tw_video_thumb|amplify_video_thumb|tweet_video_thumb)\//.test(s) && !thumbs.includes(s)) {
+                  thumbs.push(s);
+                }
+                return;
+              }
+              if (Array.isArray(v)) { v.forEach(walk); return; }
+              if (typeof v === 'object') {
+                for (const k in v) walk(v[k]);
+              }
+            };
+            walk(obj);
+            videos.forEach((v, i) => { v.poster = thumbs[i] || thumbs[0] || ''; });
+            return { photos, videos };
+          };
+
+          const collected = scan(j);
+          if (collected.photos.length || collected.videos.length) {
+            // Deduplicate while preserving order
+            const seenP = new Set();
+            const seenV = new Set();
+            out.photos.push(...collected.photos.filter(p => !seenP.has(p) && seenP.add(p)));
+            out.videos.push(...collected.videos.filter(v => {
+              const key = v.url;
+              if (seenV.has(key)) return false;
+              seenV.add(key);
+              return true;
+            }));
+            break; // got what we need
+          }
+        } catch (_) { /* try next */ }
       }
-    }
 
-    const id = extractTweetId(rawUrl);
-    const cdnById = id ? `https://cdn.syndication.twimg.com/widgets/tweet?id=${encodeURIComponent(id)}&dnt=true` : null;
-    const cdnByUrl = `https://cdn.syndication.twimg.com/widgets/tweet?url=${encodeURIComponent(rawUrl)}&dnt=true`;
-    const oembedUrl = `https://publish.twitter.com/oembed?omit_script=1&hide_thread=1&align=left&dnt=true&url=${encodeURIComponent(rawUrl)}`;
+      return out;
+    }
+    // Prefer CDN by id (most reliable), then fall back to by‑URL.
+    const first = cdnById || cdnByUrl;
+    let r = await schedule(first, { credentials: 'omit', cache: 'no-cache' }, priority);
+    if (!r.ok && first !== cdnByUrl) {
+      discardBody(r);
+      r = await schedule(cdnByUrl, { credentials: 'omit', cache: 'no-cache' }, priority);
+    }
+    if (r.ok) {
+      const data = await r.json();
+      const normalized = {
+        user: data.user || null,
+        author_name: data.author_name || (data.user && (data.user.name || data.user.screen_name)) || '',
+        text: data.text || data.full_text || data.description || '',
+        created_at: data.created_at || data.date || '',
+        entities: data.entities || null,
+        photos: Array.isArray(data.photos)
+          ? data.photos
+          : (data.entities && Array.isArray(data.entities.media) ? data.entities.media : [])
+      };
 
-    (async () => {
+      // Enrich with media (esp. videos) via fxtwitter/vxtwitter if needed.
       try {
-        // Try to extract photo/video URLs via Fx/VxTwitter. We don't depend on
-        // their schema — we walk the JSON for any pbs.twimg.com or
-        // video.twimg.com links and normalize them for the content script.
-        async function enrichFromFxVx(tid) {
-          const out = { photos: [], videos: [], text: '' };
-          if (!tid) return out;
-
-          // Try FX first
-          const tryUrls = [
-            `https://fxtwitter.com/i/status/${encodeURIComponent(tid)}.json`,
-            `https://api.vxtwitter.com/Twitter/status/${encodeURIComponent(tid)}`,
-            `https://vxtwitter.com/i/status/${encodeURIComponent(tid)}.json`
-          ];
-
-          for (const u of tryUrls) {
-            try {
-              const resp = await fetch(u, { credentials: 'omit', cache: 'no-cache' });
-              if (!resp.ok) continue;
-              const j = await resp.json();
-
-              // Try to capture tweet text if provided in common fields
-              try {
-                const t = (typeof j.text === 'string' && j.text)
-                  || (j.tweet && (typeof j.tweet.full_text === 'string' && j.tweet.full_text))
-                  || (j.tweet && (typeof j.tweet.text === 'string' && j.tweet.text))
-                  || '';
-                if (t && !out.text) out.text = String(t);
-              } catch {}
-
-              // Heuristic scan for direct media URLs
-              const scan = (obj) => {
-                const photos = [];
-                const videos = [];
-                const walk = (v) => {
-                  if (!v) return;
-                  if (typeof v === 'string') {
-                    const s = v;
-                    if (/^https?:\/\/pbs\.twimg\.com\/media\//.test(s) && /\.(?:jpg|jpeg|png|gif|webp)(?:$|\?)/i.test(s)) {
-                      photos.push(s);
-                    }
-                    if (/^https?:\/\/video\.twimg\.com\//.test(s) && /\.mp4(?:$|\?)/i.test(s)) {
-                      videos.push({ url: s, type: 'video/mp4' });
-                    }
-                    return;
-                  }
-                  if (Array.isArray(v)) { v.forEach(walk); return; }
-                  if (typeof v === 'object') {
-                    for (const k in v) walk(v[k]);
-                  }
-                };
-                walk(obj);
-                return { photos, videos };
-              };
-
-              const collected = scan(j);
-              if (collected.photos.length || collected.videos.length) {
-                // Deduplicate while preserving order
-                const seenP = new Set();
-                const seenV = new Set();
-                out.photos.push(...collected.photos.filter(p => !seenP.has(p) && seenP.add(p)));
-                out.videos.push(...collected.videos.filter(v => {
-                  const key = v.url;
-                  if (seenV.has(key)) return false;
-                  seenV.add(key);
-                  return true;
-                }));
-                break; // got what we need
-              }
-            } catch (_) { /* try next */ }
+        const extra = await enrichFromFxVx(id);
+        if (extra && (extra.photos.length || extra.videos.length)) {
+          // Merge photos
+          const existingPhotoUrls = new Set();
+          const photoObjs = Array.isArray(normalized.photos) ? normalized.photos.slice() : [];
+          photoObjs.forEach(p => {
+            if (!p) return;
+            let pu = null;
+            if (typeof p === 'string') pu = p; else if (p.url) pu = p.url; else if (p.media_url_https) pu = p.media_url_https; else if (p.media_url) pu = p.media_url;
+            if (pu) existingPhotoUrls.add(pu);
+          });
+          for (const pu of extra.photos) {
+            if (!existingPhotoUrls.has(pu)) photoObjs.push({ url: pu });
           }
+          normalized.photos = photoObjs;
+
+          // Attach videos in normalized form
+          normalized.videos = extra.videos;
 
-          return out;
+          // If CDN JSON didn't include text, try to use Fx/Vx text
+          if ((!normalized.text || !String(normalized.text).trim()) && extra.text) {
+            normalized.text = extra.text;
+          }
         }
-        // Prefer CDN by id (most reliable), then fall back to by‑URL.
-        const first = cdnById || cdnByUrl;
-        let r = await fetch(first, { credentials: 'omit', cache: 'no-cache' });
-        if (!r.ok && first !== cdnByUrl) {
-          r = await fetch(cdnByUrl, { credentials: 'omit', cache: 'no-cache' });
+      } catch (_) { /* non-fatal */ }
+
+      // If no text found, try fetching oEmbed HTML to extract text later in content script
+      try {
+        if (!normalized.text || String(normalized.text).trim() === '') {
+          const oe2 = await schedule(oembedUrl, { credentials: 'omit', cache: 'no-cache' }, priority);
+          if (oe2.ok) {
+            const od2 = await oe2.json();
+            if (od2 && od2.html) normalized.oembed_html = od2.html;
+          } else discardBody(oe2);
         }
-        if (r.ok) {
-          const data = await r.json();
-          const normalized = {
-            user: data.user || null,
-            author_name: data.author_name || (data.user && (data.user.name || data.user.screen_name)) || '',
-            text: data.text || data.full_text || data.description || '',
-            created_at: data.created_at || data.date || '',
-            entities: data.entities || null,
-            photos: Array.isArray(data.photos)
-              ? data.photos
-              : (data.entities && Array.isArray(data.entities.media) ? data.entities.media : [])
-          };
+      } catch {}
 
-          // Enrich with media (esp. videos) via fxtwitter/vxtwitter if needed.
-          try {
-            const extra = await enrichFromFxVx(id);
-            if (extra && (extra.photos.length || extra.videos.length)) {
-              // Merge photos
-              const existingPhotoUrls = new Set();
-              const photoObjs = Array.isArray(normalized.photos) ? normalized.photos.slice() : [];
-              photoObjs.forEach(p => {
-                if (!p) return;
-                let pu = null;
-                if (typeof p === 'string') pu = p; else if (p.url) pu = p.url; else if (p.media_url_https) pu = p.media_url_https; else if (p.media_url) pu = p.media_url;
-                if (pu) existingPhotoUrls.add(pu);
-              });
-              for (const pu of extra.photos) {
-                if (!existingPhotoUrls.has(pu)) photoObjs.push({ url: pu });
-              }
-              normalized.photos = photoObjs;
+      return { ok: true, source: 'cdn', data: Object.assign({}, data, normalized) };
+    }
 
-              // Attach videos in normalized form
-              normalized.videos = extra.videos;
+    discardBody(r);
 
-              // If CDN JSON didn't include text, try to use Fx/Vx text
-              if ((!normalized.text || !String(normalized.text).trim()) && extra.text) {
-                normalized.text = extra.text;
-              }
-            }
-          } catch (_) { /* non-fatal */ }
+    // If CDN failed, try enriching via fxtwitter/vxtwitter by id only.
+    try {
+      const extra = await enrichFromFxVx(id);
+      if (extra && (extra.photos.length || extra.videos.length)) {
+        const minimal = {
+          user: null,
+          author_name: '',
+          text: extra.text || '',
+          created_at: '',
+          entities: null,
+          photos: extra.photos.map(u => ({ url: u })),
+          videos: extra.videos
+        };
+        return { ok: true, source: 'vx', data: minimal };
+      }
+    } catch (_) { /* ignore and continue */ }
 
-          // If no text found, try fetching oEmbed HTML to extract text later in content script
-          try {
-            if (!normalized.text || String(normalized.text).trim() === '') {
-              const oe2 = await fetch(oembedUrl, { credentials: 'omit', cache: 'no-cache' });
-              if (oe2.ok) {
-                const od2 = await oe2.json();
-                if (od2 && od2.html) normalized.oembed_html = od2.html;
-              }
-            }
-          } catch {}
+    // Fallback: publish.twitter.com oEmbed HTML; we'll render in content.js
+    const oe = await schedule(oembedUrl, { credentials: 'omit', cache: 'no-cache' }, priority);
+    if (!oe.ok) return httpFailure(oe);
+    const odata = await oe.json();
+    return { ok: true, source: 'oembed', data: { html: odata.html || '', author_name: odata.author_name || '', url: rawUrl } };
+  } catch (err) {
+    return exceptionFailure(err);
+  }
+}
 
-          sendResponse({ ok: true, source: 'cdn', data: Object.assign({}, data, normalized) });
-          return;
-        }
+// ---- Bluesky ----
+// Posts come from the public AppView, which needs no account. Handles are
+// resolved to DIDs first, since post at:// URIs are keyed by DID.
+const BSKY_API_URL = "https://public.api.bsky.app/xrpc";
+const PLC_DIRECTORY_URL = "https://plc.directory";
 
-        // If CDN failed, try enriching via fxtwitter/vxtwitter by id only.
-        try {
-          const extra = await enrichFromFxVx(id);
-          if (extra && (extra.photos.length || extra.videos.length)) {
-            const minimal = {
-              user: null,
-              author_name: '',
-              text: extra.text || '',
-              created_at: '',
-              entities: null,
-              photos: extra.photos.map(u => ({ url: u })),
-              videos: extra.videos
-            };
-            sendResponse({ ok: true, source: 'vx', data: minimal });
-            return;
-          }
-        } catch (_) { /* ignore and continue */ }
+async function bskyXrpc(method, params, priority) {
+  const u = new URL(`${await apiEndpoint("bskyApi")}/${method}`);
+  for (const [k, v] of Object.entries(params)) u.searchParams.set(k, v);
+  const res = await schedule(u.href, { credentials: "omit", cache: "no-cache", mode: "cors" }, priority);
+  if (!res.ok) return httpFailure(res);
+  return { ok: true, data: await res.json() };
+}
+
+/**
+ * Resolve a bsky.app post link to
+ * `{ author: { name, handle, avatar }, segments, createdAt, url, images,
+ * video, external, quote, replies, reposts, likes }` (see normalizeBskyPost).
+ */
+async function resolveBluesky(rawUrl, priority) {
+  const post = EDGG.parseBlueskyPostUrl(rawUrl);
+  if (!post) return { ok: false, error: "invalid_url" };
+  try {
+    let did = post.actor;
+    if (!did.startsWith("did:")) {
+      const res = await bskyXrpc("com.atproto.identity.resolveHandle", { handle: did }, priority);
+      // Unknown handles are a 400
+      if (!res.ok) return res.status === 400 ? { ok: false, error: "not_found" } : res;
+      did = String(res.data.did || "");
+    }
+    if (!/^did:[a-z]+:[\w.:%-]+$/.test(did)) return { ok: false, error: "not_found" };
+    const res = await bskyXrpc("app.bsky.feed.getPosts", { uris: `at://${did}/app.bsky.feed.post/${post.rkey}` }, priority);
+    if (!res.ok) return res;
+    const view = res.data.posts && res.data.posts[0];
+    if (!view) return { ok: false, error: "not_found" };
+    return { ok: true, data: await normalizeBskyPost(view, priority) };
+  } catch (e) {
+    return exceptionFailure(e);
+  }
+}
+
+/**
+ * Normalize a post view (or a quoted post's record view). `segments` is the
+ * text split at its links, mentions and hashtags (`[{ text, href? }]`);
+ * `images` are `{ src, alt }`, `video` is `{ src, poster, alt }` (src empty
+ * when there's no playable MP4), `external` is a link card
+ * `{ url, title, description, thumb }`. `quote` is the quoted post, one level
+ * deep, or `{ unavailable: true }` when it was deleted or is blocked.
+ */
+async function normalizeBskyPost(view, priority, nested = false) {
+  const record = view.value || view.record || {};
+  const author = view.author || {};
+  const out = {
+    author: { name: author.displayName || author.handle || "", handle: author.handle || "", avatar: author.avatar || "" },
+    segments: bskySegments(String(record.text || ""), record.facets),
+    createdAt: record.createdAt || view.indexedAt || "",
+    url: bskyPostUrl(view.uri, author.handle),
+    images: [],
+    video: null,
+    external: null,
+    quote: null,
+    replies: view.replyCount || 0,
+    reposts: view.repostCount || 0,
+    likes: view.likeCount || 0
+  };
+  await addBskyEmbed(out, view.embed || (view.embeds || [])[0], author.did, priority, nested);
+  return out;
+}
+
+async function addBskyEmbed(out, embed, did, priority, nested) {
+  const type = String((embed && embed.$type) || "");
+  if (type === "app.bsky.embed.images#view") {
+    out.images = (embed.images || []).filter(i => i && (i.fullsize || i.thumb)).slice(0, 4).map(i => ({ src: i.fullsize || i.thumb, alt: i.alt || "" }));
+  } else if (type === "app.bsky.embed.video#view") {
+    out.video = { src: await bskyVideoUrl(did, embed.cid, priority), poster: embed.thumbnail || "", alt: embed.alt || "" };
+  } else if (type === "app.bsky.embed.external#view" && embed.external) {
+    const e = embed.external;
+    if (/^https?:\/\//i.test(e.uri || "")) out.external = { url: e.uri, title: e.title || "", description: e.description || "", thumb: e.thumb || "" };
+  } else if (type === "app.bsky.embed.record#view") {
+    if (!nested) out.quote = await bskyQuote(embed.record, priority);
+  } else if (type === "app.bsky.embed.recordWithMedia#view") {
+    await addBskyEmbed(out, embed.media, did, priority, nested);
+    if (!nested) out.quote = await bskyQuote(embed.record && embed.record.record, priority);
+  }
+}
+
+/** A quoted post; feeds, lists and other embeddable records are skipped. */
+async function bskyQuote(rec, priority) {
+  const type = String((rec && rec.$type) || "");
+  if (type === "app.bsky.embed.record#viewRecord") return normalizeBskyPost(rec, priority, true);
+  if (/#view(NotFound|Blocked|Detached)$/.test(type)) return { unavailable: true };
+  return null;
+}
+
+function bskyPostUrl(uri, handle) {
+  const m = String(uri || "").match(/^at:\/\/([^/]+)\/app\.bsky\.feed\.post\/([^/]+)$/);
+  return m ? `https://bsky.app/profile/${handle || m[1]}/post/${m[2]}` : "";
+}
+
+/** Post text split at its rich-text facets, whose ranges are UTF-8 byte offsets. */
+function bskySegments(text, facets) {
+  const bytes = new TextEncoder().encode(text);
+  const decoder = new TextDecoder();
+  const out = [];
+  let at = 0;
+  const sorted = (Array.isArray(facets) ? facets : []).filter(f => f && f.index).sort((a, b) => a.index.byteStart - b.index.byteStart);
+  for (const f of sorted) {
+    const { byteStart, byteEnd } = f.index;
+    if (!(byteStart >= at && byteEnd > byteStart && byteEnd <= bytes.length)) continue;
+    const href = bskyFacetHref((f.features || [])[0]);
+    if (!href) continue;
+    if (byteStart > at) out.push({ text: decoder.decode(bytes.slice(at, byteStart)) });
+    out.push({ text: decoder.decode(bytes.slice(byteStart, byteEnd)), href });
+    at = byteEnd;
+  }
+  if (at < bytes.length) out.push({ text: decoder.decode(bytes.slice(at)) });
+  return out;
+}
+
+function bskyFacetHref(feature) {
+  const type = feature && feature.$type;
+  if (type === "app.bsky.richtext.facet#link" && /^https?:\/\//i.test(feature.uri || "")) return feature.uri;
+  if (type === "app.bsky.richtext.facet#mention" && feature.did) return `https://bsky.app/profile/${feature.did}`;
+  if (type === "app.bsky.richtext.facet#tag" && feature.tag) return `https://bsky.app/hashtag/${encodeURIComponent(feature.tag)}`;
+  return "";
+}
 
-        // Fallback: publish.twitter.com oEmbed HTML; we'll render in content.js
-        const oe = await fetch(oembedUrl, { credentials: 'omit', cache: 'no-cache' });
-        if (!oe.ok) {
-          sendResponse({ ok: false, error: `Error: HTTP ${oe.status}` });
-          return;
+/**
+ * Direct MP4 of a video blob from the author's PDS (the AppView only serves
+ * HLS). Limited to did:plc accounts on Bluesky-hosted PDSes (*.bsky.network),
+ * the only PDS hosts on the media allowlist; other videos show their poster.
+ */
+async function bskyVideoUrl(did, cid, priority) {
+  if (!/^did:plc:[a-z0-9]+$/.test(did || "") || !/^\w+$/.test(cid || "")) return "";
+  // A PLC directory timeout only costs the video; the post still renders
+  let pds;
+  try {
+    const res = await cached(`bskyPds:${did}`, CACHE_TTL_MS.oembed, async () => {
+      const r = await schedule(`${await apiEndpoint("plcDirectory")}/${did}`, { credentials: "omit", cache: "no-cache", mode: "cors" }, priority);
+      if (!r.ok) return httpFailure(r);
+      const doc = await r.json();
+      const pds = (doc.service || []).find(s => s && s.id === "#atproto_pds");
+      return pds && pds.serviceEndpoint ? { ok: true, pds: String(pds.serviceEndpoint) } : { ok: false, error: "not_found" };
+    });
+    pds = new URL(res.pds);
+  } catch (_) { return ""; }
+  if (pds.protocol !== "https:" || !EDGG.hostMatches(pds.hostname, "*.bsky.network")) return "";
+  return `${pds.origin}/xrpc/com.atproto.sync.getBlob?did=${encodeURIComponent(did)}&cid=${encodeURIComponent(cid)}`;
+}
+
+// ---- Twitch (clips, VODs) ----
+// Twitch's public GQL endpoint answers anonymous queries sent with the web
+// player's client id, which is how twitch.tv itself loads clip and VOD pages.
+// Twitch may rotate or lock that id, so it sits in API_ENDPOINTS; without a
+// clip token the content script falls back to Twitch's own embed player.
+const TWITCH_GQL_URL = "https://gql.twitch.tv/gql";
+const TWITCH_CLIENT_ID = "kimne78kx3ncx6brgo4mv6wki5h1ko";
+
+const TWITCH_CLIP_QUERY = `query($slug: ID!) {
+  clip(slug: $slug) {
+    title durationSeconds viewCount createdAt
+    thumbnailURL(width: 480, height: 272)
+    curator { displayName }
+    broadcaster { displayName login }
+    game { name }
+    videoQualities { quality sourceURL }
+    playbackAccessToken(params: { platform: "web", playerBackend: "mediaplayer", playerType: "site" }) { signature value }
+  }
+}`;
+
+const TWITCH_VIDEO_QUERY = `query($id: ID!) {
+  video(id: $id) {
+    title lengthSeconds viewCount createdAt
+    previewThumbnailURL(width: 640, height: 360)
+    owner { displayName login }
+    game { name }
+  }
+}`;
+
+async function twitchGql(query, variables, priority) {
+  const res = await schedule(await apiEndpoint("twitchGql"), {
+    method: "POST",
+    headers: { "Client-ID": await apiEndpoint("twitchClientId"), "Content-Type": "text/plain;charset=UTF-8" },
+    body: JSON.stringify({ query, variables }),
+    credentials: "omit",
+    cache: "no-store",
+    mode: "cors"
+  }, priority);
+  if (!res.ok) return httpFailure(res);
+  const json = await res.json();
+  return { ok: true, data: (json && json.data) || {} };
+}
+
+/**
+ * Normalize a Twitch clip (`msg.clip` slug) or VOD (`msg.video` id) for the
+ * content script:
+ * `{ title, channel, login, game, seconds, views, createdAt, thumbnail }`,
+ * plus `clipper` and a signed `mp4` URL (highest quality) for clips.
+ */
+async function resolveTwitch(msg, priority) {
+  try {
+    if (msg.clip) {
+      if (!/^[\w-]+$/.test(msg.clip)) return { ok: false, error: "invalid_url" };
+      const res = await twitchGql(TWITCH_CLIP_QUERY, { slug: msg.clip }, priority);
+      const clip = res.ok && res.data.clip;
+      if (!clip) return res.ok ? { ok: false, error: "not_found" } : res;
+      const best = (clip.videoQualities || []).slice().sort((a, b) => (parseInt(b.quality, 10) || 0) - (parseInt(a.quality, 10) || 0))[0];
+      const token = clip.playbackAccessToken;
+      const mp4 = best && token ? `${best.sourceURL}?sig=${encodeURIComponent(token.signature)}&token=${encodeURIComponent(token.value)}` : "";
+      return {
+        ok: true,
+        data: {
+          title: clip.title || "",
+          channel: clip.broadcaster?.displayName || "",
+          login: clip.broadcaster?.login || "",
+          clipper: clip.curator?.displayName || "",
+          game: clip.game?.name || "",
+          seconds: clip.durationSeconds || 0,
+          views: clip.viewCount || 0,
+          createdAt: clip.createdAt || "",
+          thumbnail: clip.thumbnailURL || "",
+          mp4
         }
-        const odata = await oe.json();
-        sendResponse({ ok: true, source: 'oembed', data: { html: odata.html || '', author_name: odata.author_name || '', url: rawUrl } });
-      } catch (err) {
-        sendResponse({ ok: false, error: String(err) });
+      };
+    }
+    if (!/^\d+$/.test(String(msg.video || ""))) return { ok: false, error: "invalid_url" };
+    const res = await twitchGql(TWITCH_VIDEO_QUERY, { id: String(msg.video) }, priority);
+    const video = res.ok && res.data.video;
+    if (!video) return res.ok ? { ok: false, error: "not_found" } : res;
+    return {
+      ok: true,
+      data: {
+        title: video.title || "",
+        channel: video.owner?.displayName || "",
+        login: video.owner?.login || "",
+        game: video.game?.name || "",
+        seconds: video.lengthSeconds || 0,
+        views: video.viewCount || 0,
+        createdAt: video.createdAt || "",
+        // Thumbnails of VODs still being processed are a placeholder template
+        thumbnail: /404_processing/.test(video.previewThumbnailURL || "") ? "" : (video.previewThumbnailURL || "")
       }
-    })();
+    };
+  } catch (e) {
+    return exceptionFailure(e);
+  }
+}
 
-    return true; // async
+// ---- Kick (channels, VODs, clips) ----
+// kick.com's own pages load everything from these JSON endpoints.
+const KICK_API_URL = "https://kick.com/api";
+
+async function kickJson(path, priority) {
+  const res = await schedule((await apiEndpoint("kickApi")) + path, { credentials: "omit", cache: "no-store", mode: "cors", headers: { Accept: "application/json" } }, priority);
+  if (!res.ok) return httpFailure(res);
+  return { ok: true, data: await res.json() };
+}
+
+/**
+ * Normalize a Kick VOD (`msg.video`) or clip (`msg.clip`) for the content
+ * script: `{ title, channel, slug, category, seconds, views, createdAt,
+ * thumbnail }`, plus `clipper` and an `mp4` URL for clips when Kick serves one
+ * (otherwise the clip is HLS-only). Channels go through resolveLiveStatus.
+ */
+async function resolveKick(msg, priority) {
+  const id = String(msg.clip || msg.video || "");
+  if (!/^[\w-]+$/.test(id)) return { ok: false, error: "invalid_url" };
+  try {
+    if (msg.clip) {
+      const res = await kickJson(`/v2/clips/${id}`, priority);
+      const clip = res.ok && (res.data?.clip || res.data);
+      if (!clip || !clip.id) return res.ok ? { ok: false, error: "not_found" } : res;
+      const src = clip.video_url || clip.clip_url || "";
+      return {
+        ok: true,
+        data: {
+          title: clip.title || "",
+          channel: clip.channel?.username || "",
+          slug: clip.channel?.slug || "",
+          clipper: clip.creator?.username || "",
+          category: clip.category?.name || "",
+          seconds: clip.duration || 0,
+          views: clip.views ?? clip.view_count ?? 0,
+          createdAt: clip.created_at || "",
+          thumbnail: clip.thumbnail_url || "",
+          mp4: /\.mp4(\?|$)/i.test(src) ? src : ""
+        }
+      };
+    }
+    if (msg.video) {
+      const res = await kickJson(`/v1/video/${id}`, priority);
+      const video = res.ok && res.data;
+      if (!video || !video.livestream) return res.ok ? { ok: false, error: "not_found" } : res;
+      const ls = video.livestream;
+      return {
+        ok: true,
+        data: {
+          title: ls.session_title || "",
+          channel: ls.channel?.user?.username || "",
+          slug: ls.channel?.slug || "",
+          category: ls.categories?.[0]?.name || "",
+          // Kick reports VOD durations in milliseconds
+          seconds: Math.round((ls.duration || 0) / 1000),
+          views: video.views ?? 0,
+          createdAt: video.created_at || ls.created_at || "",
+          thumbnail: ls.thumbnail || ""
+        }
+      };
+    }
+    return { ok: false, error: "invalid_url" };
+  } catch (e) {
+    return exceptionFailure(e);
   }
+}
+
+// ---- Live status ----
+// `liveStatus` answers "is this channel live, and with what" for every
+// platform in the same shape:
+//   { channel, live, title, category, viewers, startedAt, avatar, thumbnail, lastSeen }
+// `title`/`category` are the current stream's while live and the last
+// broadcast's when offline; `thumbnail` is the live preview or the channel's
+// offline banner; times are ISO strings.
+const LIVE_LOOKUPS = {
+  twitch: twitchLiveStatus,
+  kick: kickLiveStatus
+};
+
+// Channel names each platform accepts (Kick slugs may contain `-`)
+const LIVE_CHANNEL_RE = {
+  twitch: /^\w{1,40}$/,
+  kick: /^[\w-]{1,40}$/
+};
+
+async function resolveLiveStatus(platform, channel, priority) {
+  const lookup = Object.prototype.hasOwnProperty.call(LIVE_LOOKUPS, platform) && LIVE_LOOKUPS[platform];
+  if (!lookup || !LIVE_CHANNEL_RE[platform].test(channel)) return { ok: false, error: "invalid_url" };
+  try {
+    return await lookup(channel, priority);
+  } catch (e) {
+    return exceptionFailure(e);
+  }
+}
+
+const TWITCH_LIVE_QUERY = `query($login: String!) {
+  user(login: $login) {
+    displayName
+    profileImageURL(width: 70)
+    offlineImageURL
+    stream { title viewersCount createdAt game { name } previewImageURL(width: 640, height: 360) }
+    lastBroadcast { startedAt title game { name } }
+  }
+}`;
+
+async function twitchLiveStatus(login, priority) {
+  const res = await twitchGql(TWITCH_LIVE_QUERY, { login }, priority);
+  const user = res.ok && res.data.user;
+  if (!user) return res.ok ? { ok: false, error: "not_found" } : res;
+  const stream = user.stream;
+  const last = user.lastBroadcast || {};
+  return {
+    ok: true,
+    data: {
+      channel: user.displayName || login,
+      live: !!stream,
+      title: (stream ? stream.title : last.title) || "",
+      category: (stream ? stream.game?.name : last.game?.name) || "",
+      viewers: stream ? stream.viewersCount || 0 : 0,
+      startedAt: stream ? stream.createdAt || "" : "",
+      avatar: user.profileImageURL || "",
+      thumbnail: (stream ? stream.previewImageURL : user.offlineImageURL) || "",
+      // Twitch only exposes when the last broadcast started
+      lastSeen: stream ? "" : last.startedAt || ""
+    }
+  };
+}
+
+/** Kick timestamps are "YYYY-MM-DD HH:MM:SS" in UTC. */
+function kickTime(s) {
+  if (!s) return "";
+  const d = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(s) ? s : String(s).replace(" ", "T") + "Z");
+  return isNaN(d) ? "" : d.toISOString();
+}
+
+async function kickLiveStatus(slug, priority) {
+  const res = await kickJson(`/v2/channels/${slug}`, priority);
+  const ch = res.ok && res.data;
+  if (!ch || !ch.slug) return res.ok ? { ok: false, error: "not_found" } : res;
+  const ls = ch.livestream && ch.livestream.is_live ? ch.livestream : null;
+  const prev = (ch.previous_livestreams || [])[0];
+  const prevStart = prev ? kickTime(prev.start_time || prev.created_at) : "";
+  // A past stream ended `duration` ms after it started
+  const lastSeen = prevStart ? new Date(Date.parse(prevStart) + (prev.duration || 0)).toISOString() : "";
+  return {
+    ok: true,
+    data: {
+      channel: ch.user?.username || ch.slug,
+      live: !!ls,
+      title: (ls ? ls.session_title : prev?.session_title) || "",
+      category: (ls ? ls.categories?.[0]?.name : prev?.categories?.[0]?.name) || "",
+      viewers: ls ? ls.viewer_count || 0 : 0,
+      startedAt: ls ? kickTime(ls.start_time || ls.created_at) : "",
+      avatar: ch.user?.profile_pic || "",
+      thumbnail: (ls ? ls.thumbnail?.url : (ch.offline_banner_image?.src || ch.banner_image?.url)) || "",
+      lastSeen: ls ? "" : lastSeen
+    }
+  };
+}
+
+// ---- API endpoints ----
+// Base URLs of the platform APIs above, and the Twitch client id. For offline
+// testing they can be pointed at a local mock server from the worker console, e.g.
+//   chrome.storage.local.set({ edggApiEndpoints: { twitchGql: "http://localhost:8787/gql", kickApi: "http://localhost:8787/kick" } })
+// (the mock must send CORS headers); remove the key to go back to the real
+// APIs. Only http://localhost and http://127.0.0.1 URLs are honored;
+// `twitchClientId` takes any alphanumeric id, for when Twitch rotates theirs.
+const API_ENDPOINTS = {
+  twitchGql: TWITCH_GQL_URL,
+  twitchClientId: TWITCH_CLIENT_ID,
+  kickApi: KICK_API_URL,
+  bskyApi: BSKY_API_URL,
+  plcDirectory: PLC_DIRECTORY_URL
+};
+const API_ENDPOINTS_KEY = "edggApiEndpoints";
+// Overrides must be local URLs, except the client id, which is a bare token
+const LOCAL_ENDPOINT_RE = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/;
+const API_OVERRIDE_RE = { twitchClientId: /^[a-z0-9]{1,64}$/i };
+let apiEndpointOverrides = null;
+
+async function apiEndpoint(name) {
+  if (!apiEndpointOverrides) {
+    try {
+      const got = await api.storage.local.get(API_ENDPOINTS_KEY);
+      apiEndpointOverrides = (got && got[API_ENDPOINTS_KEY]) || {};
+    } catch (_) {
+      apiEndpointOverrides = {};
+    }
+  }
+  const value = apiEndpointOverrides[name];
+  const re = API_OVERRIDE_RE[name] || LOCAL_ENDPOINT_RE;
+  return typeof value === "string" && re.test(value) ? value : API_ENDPOINTS[name];
+}
+
+api.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[API_ENDPOINTS_KEY]) apiEndpointOverrides = null;
 });
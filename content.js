@@ -5,17 +5,12 @@
  * Embeds tweets, images, videos, YouTube, Twitch in destiny.gg chat.
  */
 (() => {
+  // Settings defaults and the provider registry come from providers.js (loaded first)
   const STATE = {
-    settings: {
-      enableTweets: true,
-      enableMedia: true,
-      enableYouTube: true,
-      enableTwitch: true,
-      enableKick: true,
-      enableInstagram: true,
-      blurMedia: false,
-    }
+    settings: EDGG.defaultSettings()
   };
+  // Chat frontend adapter (sites.js): every selector for the chat's own markup
+  const SITE = EDGG.matchChatSite(location);
   // Maintains a temporary stick-to-bottom intent after user clicks DGG's "More messages below"
   STATE.stickyWanted = false; // when true, embeds will force-scroll to bottom even if height grows
   
@@ -24,38 +19,6 @@
   // would incorrectly disable auto-scroll even when the user was at the bottom.
   STATE.insertingEmbed = false;
 
-  const MEDIA_EXT = /\.(png|jpe?g|gif|webp|mp4|webm|mov)$/i;
-  const MEDIA_WHITELIST = new Set([
-    "cdn.syndication.twimg.com","destiny.gg/embed/chat*","twitter.com","mobile.twitter.com","pic.twitter.com",
-    "x.com","t.co","nitter.net","fxtwitter.com","vxtwitter.com","imgur.com","i.imgur.com","flickr.com",
-    "youtube.com","youtu.be","vimeo.com","giphy.com","media.giphy.com","tenor.com",
-    "media.tenor.com","streamable.com","dropbox.com","*.dropboxusercontent.com",
-    "onedrive.live.com","photos.google.com","lh3.googleusercontent.com","icloud.com",
-    "res.cloudinary.com","s3.amazonaws.com","cdn.discordapp.com","i.4cdn.org","kick.com",
-    "twitch.tv","www.twitch.tv","files.catbox.moe","destiny.gg/bigscreen*","packaged-media.redd.it","reddit.com",
-    "i.redd.it","preview.redd.it","v.redd.it","cdn.syndication.twimg.com","publish.twitter.com",
-    "pbs.twimg.com","video.twimg.com","i.kym-cdn.com"
-  ]);
-
-  function isTwitterImageUrl(u) {
-    try {
-      const h = u.hostname.toLowerCase().replace(/^www\./, '');
-      if (h !== 'pbs.twimg.com') return false;
-      const fmt = (u.searchParams.get('format') || '').toLowerCase();
-      return fmt === 'jpg' || fmt === 'jpeg' || fmt === 'png' || fmt === 'webp' || fmt === 'gif';
-    } catch { return false; }
-  }
-
-  function isTwitterVideoUrl(u) {
-    try {
-      const h = u.hostname.toLowerCase().replace(/^www\./, '');
-      if (h !== 'video.twimg.com') return false;
-      const path = u.pathname.toLowerCase();
-      // common shapes: /ext_tw_video/<id>/pu/vid/<WxH>/<file>.mp4?tag=... OR /amplify_video/...
-      return /\.mp4(?:$|\?)/.test(path) || /\/vid\//.test(path) || /\/mp4\//.test(path);
-    } catch { return false; }
-  }
-
   // ---- Cross-browser compatibility and messaging safety helpers ----
   // Cross-browser compatibility: Firefox uses 'browser' namespace, Chrome uses 'chrome'
   const api = typeof browser !== 'undefined' ? browser : chrome;
@@ -74,17 +37,35 @@
     } catch (_) { try { cb && cb(null); } catch (_) {} }
   }
 
+  /**
+   * Queue priority hint for background fetches: embeds whose message is on
+   * screen are fetched before ones scrolled out of view.
+   */
+  function fetchPriority(container) {
+    try { return isElementInView(container, getScrollContainer(container)) ? 'visible' : 'background'; } catch (_) { return 'normal'; }
+  }
+
+  // Short descriptions for the structured error codes returned by background.js
+  const FETCH_ERROR_TEXT = {
+    rate_limited: 'rate limited, try again shortly',
+    not_found: 'not found',
+    timeout: 'timed out',
+    network_error: 'network error',
+    http_error: 'request failed',
+    blocked_by_whitelist: 'host not allowed',
+    invalid_url: 'invalid link'
+  };
+  function describeFetchError(res) {
+    const code = res && res.error;
+    return (code && FETCH_ERROR_TEXT[code]) || 'unavailable';
+  }
+
 
   const NSFW_TOGGLE_ID = 'edgg-nsfw-toggle';
 
+  // Only chat pages with an adapter; bigscreen support comes via the chat iframe it loads.
   function isSupportedDggContext() {
-    try {
-      const hostOk = /(^|\.)destiny\.gg$/i.test(location.hostname);
-      if (!hostOk) return false;
-      const path = location.pathname || '';
-      // Limit to the chat embed itself; bigscreen support comes via the iframe that loads this URL.
-      return path.startsWith('/embed/chat');
-    } catch (_) { return false; }
+    return !!SITE;
   }
 
   function createNsfwToggleButton() {
@@ -115,6 +96,7 @@
     const next = !STATE.settings.blurMedia;
     STATE.settings.blurMedia = next;
     updateNsfwButtonState();
+    applyBlurToRendered();
     safeSendMessage({ type: 'setSettings', settings: { blurMedia: next } });
   }
 
@@ -129,7 +111,7 @@
 
   function ensureNsfwToggleButton() {
     if (document.getElementById(NSFW_TOGGLE_ID)) return;
-    const sendBtn = document.getElementById('send-anyway-btn');
+    const sendBtn = document.querySelector(SITE.composerButton);
     if (!sendBtn || !sendBtn.parentElement) {
       requestAnimationFrame(ensureNsfwToggleButton);
       return;
@@ -147,16 +129,28 @@
     init();
   });
 
-  // Update-on-change (apply for new messages only)
+  // Update-on-change: new messages and embeds already in chat
   api.runtime.onMessage.addListener((msg) => {
+    if (!SITE) return;
     if (msg && msg.type === "settingsUpdated") {
       safeSendMessage({ type: "getSettings" }, (res) => {
+        const prev = STATE.settings;
         if (res && res.ok) STATE.settings = { ...STATE.settings, ...res.settings };
         updateNsfwButtonState();
+        applyEmbedHoldsToRendered();
+        applySettingsToRendered(prev);
       });
     }
+    // "Mute embeds from this user" context menu item (see background.js)
+    if (msg && msg.type === "muteContextUser") muteUser(lastContextAuthor);
   });
 
+  // Remember whose message was right-clicked for the context menu item.
+  let lastContextAuthor = '';
+  document.addEventListener('contextmenu', (e) => {
+    try { lastContextAuthor = e.target instanceof Element ? getMessageAuthor(e.target) : ''; } catch (_) { lastContextAuthor = ''; }
+  }, true);
+
   /**
    * Mint a new NFT on the Blockchain via the command line.
    * 
@@ -169,19 +163,22 @@
     if (!chatRoot) return;
 
     ensureNsfwToggleButton();
+    probeSession();
+    watchSession();
 
     // Live stream of message nodes: observe additions
     const mo = new MutationObserver((muts) => {
       const nodes = [];
       for (const m of muts) {
+        // DGG trims old lines: free the resources of embeds that went with them
+        for (const n of m.removedNodes || []) {
+          if (n instanceof HTMLElement) releaseEmbedsIn(n);
+        }
         for (const n of m.addedNodes || []) {
           if (!(n instanceof HTMLElement)) continue;
-          // destiny.gg chat lines usually are <div class="msg"> or similar — be permissive
-          if (n.querySelectorAll) {
-            nodes.push(n, ...n.querySelectorAll("div,li,p"));
-          } else {
-            nodes.push(n);
-          }
+          // Only real chat lines; our own embeds and DGG's other UI are ignored
+          if (n.matches(SITE.line)) nodes.push(n);
+          else nodes.push(...n.querySelectorAll(SITE.line));
         }
       }
       // Batch to avoid thrash
@@ -190,26 +187,22 @@
     mo.observe(chatRoot, { childList: true, subtree: true });
 
     // Retroactive on scroll into view: use IntersectionObserver limited to existing nodes
-    const io = new IntersectionObserver((entries) => {
+    lineIO = new IntersectionObserver((entries) => {
       for (const e of entries) {
         if (e.isIntersecting) {
           maybeEmbedInNode(e.target);
-          io.unobserve(e.target);
+          lineIO.unobserve(e.target);
         }
       }
     }, { root: null, rootMargin: "200px 0px", threshold: 0 });
 
     // Seed IO for any existing messages
-    document.querySelectorAll("div,li,p").forEach(el => io.observe(el));
+    document.querySelectorAll(SITE.line).forEach(embedWhenVisible);
 
     function processBatch(nodes) {
-      const uniq = Array.from(new Set(nodes.filter(n => n && n.nodeType === 1)));
       // If batching improves perf, we can microtask-yield; for MVP, process directly
-      for (const el of uniq) {
-        if (!document.contains(el)) continue;
-        // Skip our own preview shell and injected wrappers
-        if (el.classList && el.classList.contains('edgg-wrap')) continue;
-        if (el.closest && el.closest('.edgg-wrap')) continue;
+      for (const el of new Set(nodes)) {
+        if (!el.isConnected || el.closest('.edgg-wrap')) continue;
         // Realtime embed for newly added messages
         maybeEmbedInNode(el);
       }
@@ -223,6 +216,8 @@
    * Falls back to document.scrollingElement when no explicit container exists.
    */
   function findScrollableRoot() {
+    const lines = document.querySelector(SITE.scroller);
+    if (lines) return lines;
     // Prefer a dedicated scroll container if present; fallback to document.scrollingElement
     const candidates = Array.from(document.querySelectorAll('div, main, section'));
     for (const el of candidates) {
@@ -258,7 +253,7 @@
     // Observe for the ephemeral "More messages below" element and hook its click
     const attachIfNeeded = (root) => {
       const btn = Array.from(root.querySelectorAll('button,div,a'))
-        .find(n => /more messages below/i.test(n.textContent || ''));
+        .find(n => SITE.moreBelow.test(n.textContent || ''));
       if (btn && !btn.__edggHooked) {
         btn.__edggHooked = true;
         btn.addEventListener('click', () => {
@@ -286,599 +281,892 @@
     mo2.observe(document.body || document.documentElement, { childList: true, subtree: true });
   }
 
+  // Lines already in chat are embedded lazily, as they come near the viewport
+  let lineIO = null;
+
+  function embedWhenVisible(el) {
+    if (lineIO) lineIO.observe(el);
+    else maybeEmbedInNode(el);
+  }
+
   /**
    * Scan a newly added (or just‑scrolled‑into‑view) message element and try
    * embedding any supported links inside it.
    */
   function maybeEmbedInNode(el) {
     // Ignore our injected UI
-    if (!el || (el.classList && el.classList.contains('edgg-wrap'))) return;
-    if (el.closest && el.closest('.edgg-wrap')) return;
-    // Expect messages to contain anchor tags. If none, skip.
-    const anchors = el.querySelectorAll ? el.querySelectorAll("a[href]") : [];
-    if (!anchors.length) return;
-
-    anchors.forEach(a => {
-      tryEmbed(a, el);
+    if (!el || !el.querySelectorAll || el.closest('.edgg-wrap')) return;
+    // Links in the message itself, not inside embeds we already added
+    el.querySelectorAll("a[href]").forEach(a => {
+      if (!a.closest('.edgg-wrap')) tryEmbed(a, el);
     });
   }
 
-  /** Return true if a hostname belongs to a supported Twitter/X front‑end. */
-  function isTweetUrlHost(hostname) {
-    const h = (hostname || '').toLowerCase().replace(/^www\./, '');
-    return (
-      h === 'twitter.com' ||
-      h === 'x.com' ||
-      h === 'mobile.twitter.com' ||
-      h === 'fxtwitter.com' ||
-      h === 'vxtwitter.com' ||
-      h === 'nitter.net'
-    );
+  // ---- Embed registry ----
+  // Each link is embedded once per chat line, however often the observers (or
+  // nested callers) hand us the line. Keyed on line + canonical media key, so
+  // two spellings of the same link in one message also embed once. The claimed
+  // anchor is tagged with data-edgg-link for inspection and styling.
+  const claimedLinks = new WeakMap(); // chat line -> Set of link keys
+
+  /** Record `key` for `line`; false if it was already handled. */
+  function claimLink(line, key, a) {
+    let keys = claimedLinks.get(line);
+    if (!keys) claimedLinks.set(line, keys = new Set());
+    if (keys.has(key)) return false;
+    keys.add(key);
+    if (a && a.isConnected) a.setAttribute('data-edgg-link', key);
+    return true;
+  }
+
+  /** Forget the line's claims (all, or just `key`) so it can be rendered again. */
+  function releaseLinks(line, key) {
+    const keys = claimedLinks.get(line);
+    if (!keys) return;
+    if (key) keys.delete(key);
+    else keys.clear();
+    line.querySelectorAll('a[data-edgg-link]').forEach(a => {
+      if (!key || a.getAttribute('data-edgg-link') === key) a.removeAttribute('data-edgg-link');
+    });
   }
 
   /**
-   * Core embed router. Given an anchor and its message container, decide what
-   * to render (tweet card, direct image/video, YouTube/Twitch card, etc.).
+   * Core embed router. Given an anchor and its message container, pick the
+   * first enabled provider from the shared registry (providers.js) and hand
+   * off to its renderer (tweet card, direct image/video, YouTube/Twitch card, etc.).
+   * Returns true if the link was claimed and rendered (or stubbed/collapsed).
    */
-  function tryEmbed(a, container) {
+  function tryEmbed(a, container, claimedKey) {
+    // Already handled on this line (see claimLink)
+    if (!claimedKey && a.hasAttribute('data-edgg-link')) return false;
     const url = new URL(a.href, location.href);
-    const host = url.hostname;
-    const sensitivity = getSensitivityLabel(container);
+    const sensitivity = getSensitivity(container);
     const linkText = (a.textContent || '').trim();
 
     // If this anchor is a plain "(source)" link, skip embedding for it
-    if (linkText === '(source)') return;
+    if (linkText === '(source)') return false;
 
-    // Respect DGG chat settings for hiding NSFL/NSFW
+    // Respect "hide" sensitivity rules and DGG chat settings for hiding NSFL/NSFW
     try {
-      if (sensitivity === 'NSFL' && isHideNsflEnabled()) return;
-      if (sensitivity === 'NSFW' && isHideNsfwEnabled() && getShowRemovedSetting() === '0') return;
+      if (sensitivity && sensitivity.behavior === 'hide') return false;
+      if (sensitivity && sensitivity.label === 'NSFL' && isHideNsflEnabled()) return false;
+      if (sensitivity && sensitivity.label === 'NSFW' && isHideNsfwEnabled() && getShowRemovedSetting() === '0') return false;
     } catch (_) {}
 
-    // Require login heuristic: if chat shows "Log in" prominently, bail. (MVP heuristic)
-    const pageText = (document.body && document.body.innerText ? document.body.innerText.toLowerCase() : "");
-    if (pageText.includes("log in") && !pageText.includes("logout")) {
-      return;
+    // Logged-out viewers get no embeds; the line is picked up again on login
+    if (!isLoggedIn()) {
+      container.setAttribute('data-edgg-awaiting-login', '1');
+      return false;
     }
 
-    const isTweet = isTweetUrlHost(host) && (/\/status\/\d+/.test(url.pathname) || /\/i\/web\/status\/\d+/.test(url.pathname));
-    const isPicShort = /^pic\.twitter\.com$/i.test(host.replace(/^www\./, ''));
-    const looksLikeMediaPath = MEDIA_EXT.test(url.pathname) || isTwitterImageUrl(url) || isTwitterVideoUrl(url);
-    const isWhitelisted = MEDIA_WHITELIST.has(host) || isTwitterImageUrl(url) || isTwitterVideoUrl(url);
+    const hit = EDGG.matchProvider(url, { linkText }, STATE.settings);
+    const render = hit && RENDERERS[hit.provider.id];
+    if (!render) return false;
+    const mediaKey = EDGG.canonicalMediaKey(url, hit);
+    // A resolved shortlink renders under the shortlink's own claim
+    const linkKey = claimedKey || mediaKey || url.href;
+    if (!claimedKey && !claimLink(container, linkKey, a)) return false;
+
+    // Muted/ignored chatters, and authors without a trusted flair under the
+    // flair policy, get a click-to-load stub (or nothing) instead.
+    const hold = getEmbedHold(container);
+    if (hold) {
+      if (hold.hide) container.setAttribute('data-edgg-held', '1');
+      else mountHiddenStub(container, hold.reason);
+      return true;
+    }
 
-    // Resolve Twitter shortlinks (t.co) to their final destination, then re-run embed logic once
-    if (/^t\.co$/i.test(host) && !a.__edggResolvedTco) {
-      a.__edggResolvedTco = true;
-      safeSendMessage({ type: 'bgFetch', url: a.href }, (res) => {
-        try {
-          const finalUrl = res && res.finalUrl ? res.finalUrl : null;
-          if (!finalUrl || finalUrl === a.href) return;
-          const a2 = document.createElement('a');
-          a2.href = finalUrl;
-          a2.textContent = a.textContent || '';
-          tryEmbed(a2, container);
-        } catch (_) {}
-      });
-      return;
+    // Same content embedded recently in another message: compact chip instead
+    const original = noteEmbed(mediaKey, container);
+    if (original) {
+      mountDupChip(a, container, original, hit.provider.id, linkKey);
+      return true;
     }
 
-    // Compute embed width: chat container width minus username gutter; cap at 566px
-    const { widthPx } = computeDesiredWidth(container);
+    const ctx = {
+      a,
+      container,
+      url,
+      linkText,
+      sensitivity,
+      provider: hit.provider,
+      mediaKey,
+      linkKey,
+      // Visible messages get their background lookups scheduled first
+      priority: fetchPriority(container),
+      // Compute embed width: chat container width minus username gutter; cap at 566px
+      widthPx: computeDesiredWidth(container).widthPx
+    };
+    render(ctx, hit.match);
+    return true;
+  }
 
-    // Special-case: DGG bigscreen Twitch hash links (e.g., #twitch/xqc)
-    if (STATE.settings.enableTwitch) {
-      const chan = extractDggBigscreenTwitch(url, linkText);
-      if (chan) {
-        // Build a lightweight Twitch card (thumbnail + title)
-        const card = document.createElement('a');
-        card.className = 'edgg-card edgg-card-tw';
-        card.href = a.href;
-        card.target = '_blank';
-        card.rel = 'noopener noreferrer';
-        card.style.maxWidth = '566px';
-        card.style.width = widthPx + 'px';
+  /**
+   * Send the provider's declared background lookup (`provider.resolve`) with
+   * the embed's fetch priority attached.
+   */
+  function resolveVia(ctx, msg, cb) {
+    safeSendMessage({ type: ctx.provider.resolve, priority: ctx.priority, ...msg }, cb);
+  }
 
-        const thumb = document.createElement('img');
-        thumb.className = 'edgg-card-thumb';
-        thumb.alt = 'Open on Twitch';
-        thumb.style.display = 'block';
-        thumb.style.width = '100%';
-        card.appendChild(thumb);
-
-        const overlay = document.createElement('div');
-        overlay.className = 'edgg-card-overlay';
-        overlay.innerHTML = '<div class="edgg-card-title-bg"></div><div class="edgg-card-title">Loading…</div>';
-        card.appendChild(overlay);
-
-        const wrap = document.createElement('div');
-        wrap.className = 'edgg-wrap';
-        wrap.appendChild(card);
-
-        const scroller = getScrollContainer(container);
-        const linkInView = isElementInView(container, scroller);
-        const shouldStick = linkInView && (STATE.stickyWanted || isAtBottom(scroller, 2));
-        // Auto-scroll fix: Use safeAppendEmbed instead of direct appendChild to preserve sticky state
-        safeAppendEmbed(container, wrap, scroller, shouldStick);
-        try { retargetLinks(wrap); } catch (_) {}
-
-        // Fetch page metadata from Twitch channel URL for thumbnail + title
-        const channelUrl = `https://www.twitch.tv/${encodeURIComponent(chan)}`;
-        safeSendMessage({ type: 'bgFetch', url: channelUrl }, (res) => {
-          try {
-            let title = `Twitch • ${chan}`;
-            let image = '';
-            let wasLive = false;
-            if (res && res.ok && res.body) {
-              const doc = new DOMParser().parseFromString(res.body, 'text/html');
-              const pick = (sel) => { const n = doc.querySelector(sel); return n ? (n.getAttribute('content') || '').trim() : ''; };
-              image = pick('meta[property="og:image"]') || pick('meta[name="twitter:image"]');
-              const desc = pick('meta[property="og:description"]') || pick('meta[name="twitter:description"]');
-              // Try to extract live stream title from the raw HTML first
-              const liveTitle = extractTwitchLiveTitle(res.body);
-              if (liveTitle) {
-                title = liveTitle;
-                image = getTwitchLivePreviewUrl(chan, 640, 360) || image;
-                wasLive = true;
-              } else {
-                // Prefer page description (often the live title) before og:title
-                title = (desc && desc.length >= 3 ? desc : (pick('meta[property="og:title"]') || pick('meta[name="twitter:title"]') || title));
-              }
-            }
-            if (image) thumb.src = image; else { thumb.remove(); }
-            const tnode = overlay.querySelector('.edgg-card-title');
-            if (tnode) tnode.textContent = title;
-            if (wasLive) {
-              try { startTwitchThumbAutoRefresh(thumb, chan, 60000, wrap); } catch (_) {}
-            }
-          } catch (_) { const tnode = overlay.querySelector('.edgg-card-title'); if (tnode) tnode.textContent = `Twitch • ${chan}`; try { thumb.remove(); } catch (_) {} }
-        });
-        return;
-      }
+  /**
+   * Build the thumbnail + title-overlay card used by YouTube, Twitch and Kick
+   * and mount it below the message.
+   */
+  function mountThumbCard(ctx, className, alt) {
+    const { a, container, widthPx } = ctx;
+    const card = document.createElement('a');
+    card.className = 'edgg-card ' + className;
+    card.href = a.href;
+    card.target = '_blank';
+    card.rel = 'noopener noreferrer';
+    card.style.maxWidth = '566px';
+    card.style.width = widthPx + 'px';
+
+    const thumb = document.createElement('img');
+    thumb.className = 'edgg-card-thumb';
+    thumb.alt = alt;
+    thumb.style.display = 'block';
+    thumb.style.width = '100%';
+    card.appendChild(thumb);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'edgg-card-overlay';
+    overlay.innerHTML = '<div class="edgg-card-title-bg"></div><div class="edgg-card-title">Loading…</div>';
+    card.appendChild(overlay);
+
+    const wrap = document.createElement('div');
+    wrap.className = 'edgg-wrap';
+    wrap.setAttribute('data-edgg-provider', ctx.provider.id);
+    wrap.setAttribute('data-edgg-link', ctx.linkKey);
+    if (ctx.mediaKey) wrap.setAttribute('data-edgg-key', ctx.mediaKey);
+    wrap.appendChild(card);
+
+    const scroller = getScrollContainer(container);
+    const linkInView = isElementInView(container, scroller);
+    const shouldStick = linkInView && (STATE.stickyWanted || isAtBottom(scroller, 2));
+    // Auto-scroll fix: Use safeAppendEmbed instead of direct appendChild to preserve sticky state
+    safeAppendEmbed(container, wrap, scroller, shouldStick);
+    try { retargetLinks(wrap); } catch (_) {}
+    return { card, thumb, overlay, wrap };
+  }
+
+  /** Secondary overlay line under a card's title (channel, clipper, …). */
+  function addCardByline(overlay) {
+    const line = document.createElement('div');
+    line.className = 'edgg-card-author';
+    overlay.appendChild(line);
+    return line;
+  }
+
+  /**
+   * Add a corner badge (duration, start time, LIVE, …) to a thumbnail card.
+   * `className` picks the variant, e.g. `edgg-badge-live`.
+   */
+  function addCardBadge(card, text, className, title) {
+    let badges = card.querySelector(':scope > .edgg-card-badges');
+    if (!badges) {
+      badges = document.createElement('div');
+      badges.className = 'edgg-card-badges';
+      card.appendChild(badges);
     }
+    const b = document.createElement('span');
+    b.className = 'edgg-card-badge ' + className;
+    b.textContent = text;
+    if (title) b.title = title;
+    badges.appendChild(b);
+    return b;
+  }
 
-    if (STATE.settings.enableTweets && isWhitelisted && (isTweet || isPicShort)) {
-      const card = document.createElement('div');
-      card.className = 'edgg-embed edgg-tweet';
-      card.style.maxWidth = '566px';
-      card.style.width = widthPx + 'px';
-      card.innerHTML = `<div class="edgg-tweet-body"><div class="edgg-tweet-line">Loading tweet…</div></div>`;
-      injectBelow(container, card, a.href, widthPx, sensitivity);
+  /** 75 -> "1:15", 3723 -> "1:02:03". */
+  function formatDuration(sec) {
+    sec = Math.max(0, Math.floor(sec || 0));
+    const h = Math.floor(sec / 3600), m = Math.floor(sec / 60) % 60, s = sec % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+  }
 
-      safeSendMessage({ type: 'fetchTweet', url: a.href }, (res) => {
-        if (!res || !res.ok || !res.data) {
-          card.querySelector('.edgg-tweet-body').innerHTML =
-            '<div class="edgg-tweet-line"><a class="edgg-tweet-link" href="' + a.href + '" target="_blank" rel="noopener noreferrer">' + a.href + '</a></div>';
-          return;
-        }
-        try {
-          if (res.source === 'oembed' && res.data && res.data.html) {
-            // Parse the blockquote HTML to extract tweet text+links safely
-            var tmp = document.createElement('div');
-            tmp.innerHTML = res.data.html;
-            var bq = tmp.querySelector('blockquote');
-            var textHtml = '';
-            var userName = res.data.author_name || '';
-            if (bq) {
-              var p = bq.querySelector('p');
-              if (p) textHtml = p.innerHTML; // already contains <a> anchors for links
-            }
-            if (!textHtml) {
-              textHtml = '<a href="' + a.href + '" target="_blank" rel="noopener noreferrer">' + escapeHtml(a.href) + '</a>';
-            }
-            var bodyEl = card.querySelector('.edgg-tweet-body');
-
-            // Attempt to extract media from the oEmbed blockquote
-            var mediaNodes = [];
-            var candidateTweetUrl = null;
-            if (bq) {
-              var anchors = bq.querySelectorAll('a');
-              for (var i = 0; i < anchors.length; i++) {
-                var aTag = anchors[i];
-                var hrefVal = aTag.getAttribute('href') || '';
-                // Always drop pic.twitter.com shortlinks from text
-                try {
-                  var hrefU = new URL(hrefVal, location.href);
-                  var hrefHost = hrefU.hostname.toLowerCase().replace(/^www\./, '');
-                  if (hrefHost === 'pic.twitter.com') {
-                    var anchorHtml = aTag.outerHTML;
-                    if (textHtml) textHtml = textHtml.replace(anchorHtml, '');
-                  }
-                } catch (_) {}
-
-                var expanded = aTag.getAttribute('data-expanded-url') || hrefVal || '';
-                try {
-                  var eu = new URL(expanded, location.href);
-                  var h = eu.hostname.toLowerCase().replace(/^www\./, '');
-                  var path = eu.pathname.toLowerCase();
-                  // Track a candidate tweet URL for a second-pass JSON render if media not directly present
-                  if (!candidateTweetUrl && (h === 'twitter.com' || h === 'x.com' || h === 'mobile.twitter.com') && (/\/status\/\d+/.test(path) || /\/i\/web\/status\/\d+/.test(path))) {
-                    candidateTweetUrl = eu.href;
-                  }
-                  // Inline images from pbs.twimg.com (Twitter media CDN)
-                  if (h === 'pbs.twimg.com' && /\.(jpg|jpeg|png|webp|gif)(?:$|\?)/.test(path)) {
-                    var img = document.createElement('img');
-                    img.className = 'edgg-media edgg-tweet-photo';
-                    img.loading = 'lazy';
-                    img.decoding = 'async';
-                    img.src = eu.href;
-                    mediaNodes.push(img);
-                  }
-                  // Basic MP4 support from video.twimg.com
-                  if (h === 'video.twimg.com' && /\.(mp4)(?:$|\?)/.test(path)) {
-                    var vid = document.createElement('video');
-                    vid.className = 'edgg-media edgg-tweet-video';
-                    vid.controls = true; // require interaction
-                    vid.preload = 'metadata';
-                    vid.playsInline = true;
-                    const blocked = isCspBlockedHost(h);
-                    if (!blocked) {
-                      var srcEl = document.createElement('source');
-                      srcEl.src = eu.href;
-                      srcEl.type = 'video/mp4';
-                      vid.appendChild(srcEl);
-                    } else {
-                      vid.dataset && (vid.dataset.edggSrc = eu.href);
-                    }
-                    mediaNodes.push(vid);
-                  }
-                } catch (_) { /* ignore bad URLs */ }
-              }
-            }
+  /** Time since an ISO timestamp as stream uptime: "45m", "2h 05m". */
+  function formatUptime(iso) {
+    const min = Math.max(0, Math.floor((Date.now() - Date.parse(iso)) / 60000));
+    return min >= 60 ? `${Math.floor(min / 60)}h ${String(min % 60).padStart(2, '0')}m` : `${min}m`;
+  }
 
-            var mediaHtml = '';
-            if (mediaNodes.length) {
-              var wrap = document.createElement('div');
-              wrap.className = 'edgg-tweet-media';
-              for (var mi = 0; mi < mediaNodes.length && mi < 4; mi++) wrap.appendChild(mediaNodes[mi]);
-              mediaHtml = wrap.outerHTML;
-            }
+  /** "just now", "5 minutes ago", "3 hours ago", "2 days ago". */
+  function formatAgo(iso) {
+    const sec = Math.max(0, (Date.now() - Date.parse(iso)) / 1000);
+    const steps = [[86400 * 365, 'year'], [86400 * 30, 'month'], [86400, 'day'], [3600, 'hour'], [60, 'minute']];
+    for (const [size, unit] of steps) {
+      const n = Math.floor(sec / size);
+      if (n >= 1) return `${n} ${unit}${n === 1 ? '' : 's'} ago`;
+    }
+    return 'just now';
+  }
 
-      bodyEl.innerHTML =
-        '<div class="edgg-tweet-header">' + (userName ? '<span class="edgg-tweet-user">' + escapeHtml(userName) + '</span>' : '') + '</div>' +
-        '<div class="edgg-tweet-text">' + textHtml + '</div>' +
-        mediaHtml +
-        '<div class="edgg-tweet-footer"><a href="' + a.href + '" target="_blank" rel="noopener noreferrer">Open on Twitter</a></div>';
+  /** 950 -> "950", 1234 -> "1.2k", 12345 -> "12k". */
+  function formatCount(n) {
+    const abs = Math.abs(n);
+    return abs >= 10000 ? Math.round(n / 1000) + 'k' : abs >= 1000 ? (n / 1000).toFixed(1) + 'k' : String(n);
+  }
 
-      // Ensure all links open in a new tab and expand t.co shortlinks inside text
-      try { retargetLinks(bodyEl); } catch (_) {}
-      try { expandTcoLinksIn(bodyEl); } catch (_) {}
+  // Renderer for each provider id in EDGG.PROVIDERS: (ctx, match) => void
+  const RENDERERS = {
+    tco: embedShortlink,
+    bigscreenTwitch: embedTwitch,
+    tweet: embedTweet,
+    bluesky: embedBluesky,
+    media: embedDirectMedia,
+    redditMedia: embedDirectMedia,
+    imgur: resolveAndEmbedImgur,
+    instagram: resolveAndEmbedInstagram,
+    reddit: resolveAndEmbedReddit,
+    youtube: embedYouTube,
+    twitch: embedTwitch,
+    kick: embedKick
+  };
 
-          // If oEmbed didn't expose direct pbs/video URLs, try a second pass via CDN JSON using a candidate tweet URL
-          if (!mediaNodes.length && candidateTweetUrl) {
-            safeSendMessage({ type: 'fetchTweet', url: candidateTweetUrl }, (res2) => {
+  /** Resolve a t.co shortlink to its final destination, then re-run embed logic once. */
+  function embedShortlink(ctx) {
+    const { a, container } = ctx;
+    resolveVia(ctx, { url: a.href }, (res) => {
+      try {
+        const finalUrl = res && res.finalUrl ? res.finalUrl : null;
+        if (!finalUrl || finalUrl === a.href) return;
+        const a2 = document.createElement('a');
+        a2.href = finalUrl;
+        a2.textContent = a.textContent || '';
+        // Nothing to show (e.g. provider off): let a later settings change retry
+        if (!tryEmbed(a2, container, ctx.linkKey)) releaseLinks(container, ctx.linkKey);
+      } catch (_) {}
+    });
+  }
+
+  /** Tweet card: placeholder first, then hydrated from the background's fetchTweet. */
+  function embedTweet(ctx) {
+    const { a, sensitivity, widthPx, priority } = ctx;
+    const card = document.createElement('div');
+    card.className = 'edgg-embed edgg-tweet';
+    card.style.maxWidth = '566px';
+    card.style.width = widthPx + 'px';
+    card.innerHTML = `<div class="edgg-tweet-body"><div class="edgg-tweet-line">Loading tweet…</div></div>`;
+    injectBelow(ctx, card, a.href);
+
+    resolveVia(ctx, { url: a.href }, (res) => {
+      if (!res || !res.ok || !res.data) {
+        card.querySelector('.edgg-tweet-body').innerHTML =
+          '<div class="edgg-tweet-line"><a class="edgg-tweet-link" href="' + a.href + '" target="_blank" rel="noopener noreferrer">' + a.href + '</a></div>' +
+          '<div class="edgg-tweet-error">Couldn\'t load tweet: ' + escapeHtml(describeFetchError(res)) + '</div>';
+        markEmbedFailed(ctx, card);
+        return;
+      }
+      try {
+        if (res.source === 'oembed' && res.data && res.data.html) {
+          // Parse the blockquote HTML to extract tweet text+links safely
+          var tmp = document.createElement('div');
+          tmp.innerHTML = res.data.html;
+          var bq = tmp.querySelector('blockquote');
+          var textHtml = '';
+          var userName = res.data.author_name || '';
+          if (bq) {
+            var p = bq.querySelector('p');
+            if (p) textHtml = p.innerHTML; // already contains <a> anchors for links
+          }
+          if (!textHtml) {
+            textHtml = '<a href="' + a.href + '" target="_blank" rel="noopener noreferrer">' + escapeHtml(a.href) + '</a>';
+          }
+          var bodyEl = card.querySelector('.edgg-tweet-body');
+
+          // Attempt to extract media from the oEmbed blockquote
+          var mediaNodes = [];
+          var candidateTweetUrl = null;
+          if (bq) {
+            var anchors = bq.querySelectorAll('a');
+            for (var i = 0; i < anchors.length; i++) {
+              var aTag = anchors[i];
+              var hrefVal = aTag.getAttribute('href') || '';
+              // Always drop pic.twitter.com shortlinks from text
               try {
-                if (res2 && res2.ok && res2.data) {
-                  renderTweetInto(card, res2.data, a.href);
+                var hrefU = new URL(hrefVal, location.href);
+                var hrefHost = hrefU.hostname.toLowerCase().replace(/^www\./, '');
+                if (hrefHost === 'pic.twitter.com') {
+                  var anchorHtml = aTag.outerHTML;
+                  if (textHtml) textHtml = textHtml.replace(anchorHtml, '');
                 }
               } catch (_) {}
-            });
+
+              var expanded = aTag.getAttribute('data-expanded-url') || hrefVal || '';
+              try {
+                var eu = new URL(expanded, location.href);
+                var h = eu.hostname.toLowerCase().replace(/^www\./, '');
+                var path = eu.pathname.toLowerCase();
+                // Track a candidate tweet URL for a second-pass JSON render if media not directly present
+                if (!candidateTweetUrl && (h === 'twitter.com' || h === 'x.com' || h === 'mobile.twitter.com') && (/\/status\/\d+/.test(path) || /\/i\/web\/status\/\d+/.test(path))) {
+                  candidateTweetUrl = eu.href;
+                }
+                // Inline images from pbs.twimg.com (Twitter media CDN)
+                if (h === 'pbs.twimg.com' && /\.(jpg|jpeg|png|webp|gif)(?:$|\?)/.test(path)) {
+                  var img = document.createElement('img');
+                  img.className = 'edgg-media edgg-tweet-photo';
+                  img.loading = 'lazy';
+                  img.decoding = 'async';
+                  img.src = eu.href;
+                  mediaNodes.push(img);
+                }
+                // Basic MP4 support from video.twimg.com
+                if (h === 'video.twimg.com' && /\.(mp4)(?:$|\?)/.test(path)) {
+                  var vid = document.createElement('video');
+                  vid.className = 'edgg-media edgg-tweet-video';
+                  vid.controls = true; // require interaction
+                  vid.preload = 'metadata';
+                  vid.playsInline = true;
+                  const blocked = isCspBlockedHost(h);
+                  if (!blocked) {
+                    var srcEl = document.createElement('source');
+                    srcEl.src = eu.href;
+                    srcEl.type = 'video/mp4';
+                    vid.appendChild(srcEl);
+                  } else {
+                    vid.dataset && (vid.dataset.edggSrc = eu.href);
+                  }
+                  mediaNodes.push(vid);
+                }
+              } catch (_) { /* ignore bad URLs */ }
+            }
           }
 
-          // Keep bottom lock if images/videos load later
-          var scrollerX = getScrollContainer(card);
-          var imgsX = bodyEl.querySelectorAll('img,video');
-          for (var xi = 0; xi < imgsX.length; xi++) {
-            var elX = imgsX[xi];
-            var evName = elX.tagName === 'VIDEO' ? 'loadedmetadata' : 'load';
-            elX.addEventListener(evName, function(){ if (isAtBottom(scrollerX)) scrollToBottom(scrollerX); }, { once: true });
+          var mediaHtml = '';
+          if (mediaNodes.length) {
+            var wrap = document.createElement('div');
+            wrap.className = 'edgg-tweet-media';
+            for (var mi = 0; mi < mediaNodes.length && mi < 4; mi++) wrap.appendChild(mediaNodes[mi]);
+            mediaHtml = wrap.outerHTML;
           }
 
-          // Ensure CSP-safe videos (convert to blob: if needed)
-          try { ensureCspSafeVideos(bodyEl); } catch (_) {}
+    bodyEl.innerHTML =
+      '<div class="edgg-tweet-header">' + (userName ? '<span class="edgg-tweet-user">' + escapeHtml(userName) + '</span>' : '') + '</div>' +
+      '<div class="edgg-tweet-text">' + textHtml + '</div>' +
+      mediaHtml +
+      '<div class="edgg-tweet-footer"><a href="' + a.href + '" target="_blank" rel="noopener noreferrer">Open on Twitter</a></div>';
 
-          // Apply spoiler overlays if blur enabled or sensitivity flagged
-          try { applySpoilersInRoot(bodyEl, sensitivity, STATE.settings.blurMedia || !!sensitivity); } catch (_) {}
-          
-          // Initialize pager if multiple media present (after spoiler setup)
-          try { initTweetMediaPager(bodyEl); } catch (_) {}
-          return;
+    // Ensure all links open in a new tab and expand t.co shortlinks inside text
+    try { retargetLinks(bodyEl); } catch (_) {}
+    try { expandTcoLinksIn(bodyEl); } catch (_) {}
+
+        // If oEmbed didn't expose direct pbs/video URLs, try a second pass via CDN JSON using a candidate tweet URL
+        if (!mediaNodes.length && candidateTweetUrl) {
+          safeSendMessage({ type: 'fetchTweet', url: candidateTweetUrl, priority }, (res2) => {
+            try {
+              if (res2 && res2.ok && res2.data) {
+                renderTweetInto(card, res2.data, a.href);
+              }
+            } catch (_) {}
+          });
         }
 
-          // Preferred path: CDN JSON
-          renderTweetInto(card, res.data, a.href);
-        } catch (e) {
-          card.querySelector('.edgg-tweet-body').innerHTML =
-            '<div class="edgg-tweet-line"><a class="edgg-tweet-link" href="' + a.href + '" target="_blank" rel="noopener noreferrer">' + a.href + '</a></div>';
+        // Keep bottom lock if images/videos load later
+        var scrollerX = getScrollContainer(card);
+        var imgsX = bodyEl.querySelectorAll('img,video');
+        for (var xi = 0; xi < imgsX.length; xi++) {
+          var elX = imgsX[xi];
+          var evName = elX.tagName === 'VIDEO' ? 'loadedmetadata' : 'load';
+          elX.addEventListener(evName, function(){ if (isAtBottom(scrollerX)) scrollToBottom(scrollerX); }, { once: true });
         }
-      });
-    }
 
-    // Media embedding (images/videos) — only if clearly direct file or known CDN patterns (path ends with extension)
-    if (STATE.settings.enableMedia && isWhitelisted && looksLikeMediaPath) {
-      const fileExt = (url.pathname.split(".").pop() || "").toLowerCase();
-      const isTwImg = isTwitterImageUrl(url);
-      const isTwVid = isTwitterVideoUrl(url);
-
-      if (isTwImg || ["png","jpg","jpeg","gif","webp"].includes(fileExt)) {
-        const img = document.createElement("img");
-        img.loading = "lazy";
-        img.decoding = "async";
-        img.src = a.href; // keep original URL with query (?format=jpg)
-        img.className = "edgg-media";
-        img.style.maxWidth = "566px";
-        injectBelow(container, img, a.href, widthPx, sensitivity);
+        // Ensure CSP-safe videos (convert to blob: if needed)
+        try { ensureCspSafeVideos(bodyEl); } catch (_) {}
+
+        // Apply spoiler overlays if blur enabled or sensitivity flagged
+        try { applySpoilersInRoot(bodyEl, sensitivity, STATE.settings.blurMedia || isBlurSensitivity(sensitivity)); } catch (_) {}
+        
+        // Initialize pager if multiple media present (after spoiler setup)
+        try { initTweetMediaPager(bodyEl); } catch (_) {}
         return;
       }
 
-      if (isTwVid || ["mp4","webm","mov"].includes(fileExt)) {
-        const vid = document.createElement("video");
-        vid.preload = "metadata";
-        vid.controls = true; // require user interaction
-        vid.playsInline = true;
-        vid.className = "edgg-media";
-        vid.style.maxWidth = "566px";
-        vid.style.width = widthPx + "px";
-        const blocked = isCspBlockedHost(url.hostname);
-        if (!blocked) {
-          const src = document.createElement("source");
-          src.src = a.href;
-          // best-effort type hint
-          let mime = "";
-          if (isTwVid || fileExt === "mp4") mime = "video/mp4";
-          else if (fileExt === "webm") mime = "video/webm";
-          else mime = "video/quicktime";
-          src.type = mime;
-          vid.appendChild(src);
-        }
-        try { prepareVideoForCsp(vid, a.href); } catch (_) {}
-        injectBelow(container, vid, a.href, widthPx, sensitivity);
-        return;
+        // Preferred path: CDN JSON
+        renderTweetInto(card, res.data, a.href);
+      } catch (e) {
+        card.querySelector('.edgg-tweet-body').innerHTML =
+          '<div class="edgg-tweet-line"><a class="edgg-tweet-link" href="' + a.href + '" target="_blank" rel="noopener noreferrer">' + a.href + '</a></div>';
       }
-    }
+    });
+  }
 
-    // Reddit redirector: https://www.reddit.com/media?url=<encoded direct media>
-    if (STATE.settings.enableMedia && /(^|\.)reddit\.com$/i.test(host) && url.pathname === '/media') {
-      const target = url.searchParams.get('url');
-      if (target) {
-        try {
-          const mu = new URL(target, location.href);
-          const mhost = mu.hostname.replace(/^www\./, '');
-          const mExt = (mu.pathname.split('.').pop() || '').toLowerCase();
-          const okHost = MEDIA_WHITELIST.has(mhost) || /(^|\.)redd\.it$/i.test(mhost);
-          if (okHost) {
-            if (["png","jpg","jpeg","gif","webp"].includes(mExt)) {
-              const img = document.createElement('img');
-              img.loading = 'lazy';
-              img.decoding = 'async';
-              img.src = mu.href;
-              img.className = 'edgg-media';
-              img.style.maxWidth = '566px';
-              injectBelow(container, img, a.href, widthPx, sensitivity);
-              return;
-            }
-            if (["mp4","webm","mov"].includes(mExt)) {
-              const vid = document.createElement('video');
-              vid.preload = 'metadata';
-              vid.controls = true;
-              vid.playsInline = true;
-              vid.className = 'edgg-media';
-              vid.style.maxWidth = '566px';
-              vid.style.width = widthPx + 'px';
-              const src = document.createElement('source');
-              src.src = mu.href;
-              src.type = mExt === 'mp4' ? 'video/mp4' : (mExt === 'webm' ? 'video/webm' : 'video/quicktime');
-              vid.appendChild(src);
-              try { prepareVideoForCsp(vid, mu.href); } catch (_) {}
-              injectBelow(container, vid, a.href, widthPx, sensitivity);
-              return;
-            }
-          }
-        } catch (_) {}
+  /** Bluesky post card: the tweet card layout and media pager, filled from fetchBluesky. */
+  function embedBluesky(ctx) {
+    const { a, widthPx } = ctx;
+    const card = document.createElement('div');
+    card.className = 'edgg-embed edgg-tweet edgg-bsky';
+    card.style.maxWidth = '566px';
+    card.style.width = widthPx + 'px';
+    const body = document.createElement('div');
+    body.className = 'edgg-tweet-body';
+    body.innerHTML = '<div class="edgg-tweet-line">Loading post…</div>';
+    card.appendChild(body);
+    injectBelow(ctx, card, a.href);
+
+    resolveVia(ctx, { url: a.href }, (res) => {
+      try {
+        if (!res || !res.ok || !res.data) {
+          body.innerHTML =
+            '<div class="edgg-tweet-line"><a class="edgg-tweet-link" href="' + escapeHtml(a.href) + '" target="_blank" rel="noopener noreferrer">' + escapeHtml(a.href) + '</a></div>' +
+            '<div class="edgg-tweet-error">Couldn\'t load post: ' + escapeHtml(describeFetchError(res)) + '</div>';
+          markEmbedFailed(ctx, card);
+          return;
+        }
+        const post = res.data;
+        body.textContent = '';
+        body.append(...blueskyPostNodes(post));
+        if (post.quote) {
+          const quote = document.createElement('div');
+          quote.className = 'edgg-bsky-quote';
+          if (post.quote.unavailable) quote.textContent = 'Quoted post unavailable';
+          else quote.append(...blueskyPostNodes(post.quote));
+          body.appendChild(quote);
+        }
+
+        const footer = document.createElement('div');
+        footer.className = 'edgg-tweet-footer';
+        const open = document.createElement('a');
+        open.href = post.url || a.href;
+        open.textContent = 'Open on Bluesky';
+        footer.appendChild(open);
+        const stats = [];
+        if (post.replies) stats.push(formatCount(post.replies) + (post.replies === 1 ? ' reply' : ' replies'));
+        if (post.reposts) stats.push(formatCount(post.reposts) + (post.reposts === 1 ? ' repost' : ' reposts'));
+        if (post.likes) stats.push(formatCount(post.likes) + (post.likes === 1 ? ' like' : ' likes'));
+        const when = post.createdAt ? new Date(post.createdAt) : null;
+        if (when && !isNaN(when)) stats.push(when.toLocaleString());
+        if (stats.length) footer.appendChild(document.createTextNode(' • ' + stats.join(' • ')));
+        body.appendChild(footer);
+
+        try { retargetLinks(body); } catch (_) {}
+        finishTweetBody(card, body);
+      } catch (_) {}
+    });
+  }
+
+  /** Header, text, media and link card of a normalized Bluesky post (also used for its quote). */
+  function blueskyPostNodes(post) {
+    const nodes = [];
+    const header = document.createElement('div');
+    header.className = 'edgg-tweet-header';
+    const author = post.author || {};
+    header.appendChild(textSpan('edgg-tweet-user', author.name || author.handle || 'Bluesky'));
+    if (author.handle) header.appendChild(textSpan('edgg-card-author', '@' + author.handle));
+    nodes.push(header);
+
+    const text = document.createElement('div');
+    text.className = 'edgg-tweet-text';
+    for (const seg of post.segments || []) {
+      if (seg.href && /^https?:\/\//i.test(seg.href)) {
+        const link = document.createElement('a');
+        link.href = seg.href;
+        link.textContent = seg.text;
+        text.appendChild(link);
+      } else {
+        text.appendChild(document.createTextNode(seg.text || ''));
       }
     }
-
-    // Imgur page without direct file extension: fetch and resolve OG media
-    if (STATE.settings.enableMedia && /(^|\.)imgur\.com$/i.test(host) && !looksLikeMediaPath) {
-      resolveAndEmbedImgur(a.href, container, widthPx, sensitivity);
-      return;
+    if (text.childNodes.length) nodes.push(text);
+
+    const media = document.createElement('div');
+    media.className = 'edgg-tweet-media';
+    for (const image of post.images || []) {
+      const img = document.createElement('img');
+      img.className = 'edgg-media edgg-tweet-photo';
+      img.loading = 'lazy';
+      img.decoding = 'async';
+      img.alt = image.alt || '';
+      img.src = image.src;
+      media.appendChild(img);
+    }
+    const video = post.video;
+    if (video && video.src) {
+      const vid = document.createElement('video');
+      vid.className = 'edgg-media edgg-tweet-video';
+      vid.controls = true;
+      vid.preload = 'metadata';
+      vid.playsInline = true;
+      if (video.poster) vid.poster = video.poster;
+      if (video.alt) vid.title = video.alt;
+      // PDS blobs are CSP-blocked: prepareVideoForCsp streams them from data-edgg-src
+      vid.dataset.edggSrc = video.src;
+      media.appendChild(vid);
+    } else if (video && video.poster) {
+      // No playable MP4: show the poster, the footer links to the post
+      const img = document.createElement('img');
+      img.className = 'edgg-media edgg-tweet-photo';
+      img.loading = 'lazy';
+      img.decoding = 'async';
+      img.alt = video.alt || '';
+      img.src = video.poster;
+      media.appendChild(img);
     }
+    if (media.childNodes.length) nodes.push(media);
+
+    const ext = post.external;
+    if (ext && /^https?:\/\//i.test(ext.url || '')) {
+      const link = document.createElement('a');
+      link.className = 'edgg-bsky-external';
+      link.href = ext.url;
+      if (ext.thumb) {
+        const thumb = document.createElement('img');
+        thumb.className = 'edgg-bsky-external-thumb';
+        thumb.loading = 'lazy';
+        thumb.alt = '';
+        thumb.src = ext.thumb;
+        link.appendChild(thumb);
+      }
+      const info = document.createElement('div');
+      info.className = 'edgg-bsky-external-info';
+      let host = '';
+      try { host = new URL(ext.url).hostname.replace(/^www\./, ''); } catch (_) {}
+      info.appendChild(textSpan('edgg-card-meta', host));
+      if (ext.title) info.appendChild(textSpan('edgg-bsky-external-title', ext.title));
+      if (ext.description) info.appendChild(textSpan('edgg-bsky-external-desc', ext.description));
+      link.appendChild(info);
+      nodes.push(link);
+    }
+    return nodes;
+  }
 
-    // Instagram page: thumbnail + caption overlay (links to original page)
-    if (STATE.settings.enableInstagram && /(^|\.)instagram\.com$/i.test(host)) {
-      resolveAndEmbedInstagram(a.href, container, widthPx, sensitivity);
+  /** Direct image/video file (also the target of reddit.com/media redirector links). */
+  function embedDirectMedia(ctx, m) {
+    const { a, widthPx } = ctx;
+    if (m.kind === 'image') {
+      const img = document.createElement("img");
+      img.loading = "lazy";
+      img.decoding = "async";
+      img.src = m.src; // keep original URL with query (?format=jpg)
+      img.className = "edgg-media";
+      img.style.maxWidth = "566px";
+      injectBelow(ctx, img, a.href);
       return;
     }
 
-    // Reddit post (embed text + media)
-    if (STATE.settings.enableMedia && /(^|\.)reddit\.com$/i.test(host) && /\/comments\//.test(url.pathname)) {
-      resolveAndEmbedReddit(a.href, container, widthPx, sensitivity);
-      return;
+    const vid = document.createElement("video");
+    vid.preload = "metadata";
+    vid.controls = true; // require user interaction
+    vid.playsInline = true;
+    vid.className = "edgg-media";
+    vid.style.maxWidth = "566px";
+    vid.style.width = widthPx + "px";
+    let blocked = false;
+    try { blocked = isCspBlockedHost(new URL(m.src).hostname); } catch (_) {}
+    if (!blocked) {
+      const src = document.createElement("source");
+      src.src = m.src;
+      // best-effort type hint
+      src.type = m.mime;
+      vid.appendChild(src);
     }
+    try { prepareVideoForCsp(vid, m.src); } catch (_) {}
+    injectBelow(ctx, vid, a.href);
+  }
 
-    // Optional YouTube/Twitch (lazy iframe) — toggleable
-    if (isWhitelisted) {
-      if (STATE.settings.enableYouTube && /(youtube\.com|youtu\.be)/.test(host)) {
-        const ytId = extractYouTubeId(url);
-        if (ytId) {
-          const card = document.createElement('a');
-          card.className = 'edgg-card edgg-card-yt';
-          card.href = a.href;
-          card.target = '_blank';
-          card.rel = 'noopener noreferrer';
-          card.style.maxWidth = '566px';
-          card.style.width = widthPx + 'px';
-
-          const thumb = document.createElement('img');
-          thumb.className = 'edgg-card-thumb';
-          thumb.alt = 'Open on YouTube';
-          thumb.style.display = 'block';
-          thumb.style.width = '100%';
-          thumb.src = `https://i.ytimg.com/vi/${ytId}/hqdefault.jpg`;
-          card.appendChild(thumb);
-
-          const overlay = document.createElement('div');
-          overlay.className = 'edgg-card-overlay';
-          overlay.innerHTML = '<div class="edgg-card-title-bg"></div><div class="edgg-card-title">Loading…</div>';
-          card.appendChild(overlay);
-
-          const wrap = document.createElement('div');
-          wrap.className = 'edgg-wrap';
-          wrap.appendChild(card);
-          const scroller = getScrollContainer(container);
-          const linkInView = isElementInView(container, scroller);
-          const shouldStick = linkInView && (STATE.stickyWanted || isAtBottom(scroller, 2));
-          // Auto-scroll fix: Use safeAppendEmbed instead of direct appendChild to preserve sticky state
-          safeAppendEmbed(container, wrap, scroller, shouldStick);
-          try { retargetLinks(wrap); } catch (_) {}
-
-          // Fetch oEmbed via background to avoid CSP and attach title/thumbnail
-          safeSendMessage({ type: 'oembed', provider: 'youtube', videoUrl: a.href }, (res) => {
-            try {
-              const tn = overlay.querySelector('.edgg-card-title');
-              if (res && res.ok && res.data) {
-                if (tn) tn.textContent = res.data.title || 'YouTube';
-                if (res.data.thumbnail_url) thumb.src = res.data.thumbnail_url;
-              } else {
-                if (tn) tn.textContent = 'YouTube Video';
-              }
-            } catch (_) {}
-          });
+  /**
+   * YouTube card: thumbnail, title and channel, with duration, start-time,
+   * clip range and live/premiere badges read from the watch page. Shorts get
+   * a vertical card; playlist-only links show the playlist's oEmbed card.
+   */
+  function embedYouTube(ctx, m) {
+    const { priority } = ctx;
+    const { card, thumb, overlay } = mountThumbCard(ctx, 'edgg-card-yt' + (m.short ? ' edgg-card-yt-short' : ''), 'Open on YouTube');
+    card.href = youTubeOpenUrl(m);
+    if (m.short) card.style.maxWidth = '260px';
+    if (m.id) thumb.src = `https://i.ytimg.com/vi/${m.id}/hqdefault.jpg`;
+    const tn = overlay.querySelector('.edgg-card-title');
+    const channel = addCardByline(overlay);
+    if (m.start) addCardBadge(card, '▶ ' + formatDuration(m.start), 'edgg-badge-start', 'Starts at ' + formatDuration(m.start));
+    if (m.list && !m.id && !m.clip) addCardBadge(card, 'PLAYLIST', 'edgg-badge-playlist');
+    // Clips get their player once the clip page names the video and range
+    card.__edggPlayer = m.clip ? null : { id: m.id, list: m.list, start: m.start, short: m.short };
+    syncYouTubePlayButton(card);
+    if (m.id) addBigscreenButton(card, { platform: 'youtube', id: m.id, start: m.start });
+    let titled = false;
+
+    // oEmbed (via background to avoid CSP) for title, channel and thumbnail
+    const oembedUrl = m.id ? `https://www.youtube.com/watch?v=${m.id}` : card.href;
+    resolveVia(ctx, { provider: 'youtube', videoUrl: oembedUrl }, (res) => {
+      try {
+        if (res && res.ok && res.data) {
+          titled = true;
+          if (tn) tn.textContent = res.data.title || 'YouTube';
+          if (res.data.author_name && !channel.textContent) channel.textContent = res.data.author_name;
+          if (res.data.thumbnail_url && !m.short) thumb.src = res.data.thumbnail_url;
+        } else if (tn && !titled) {
+          tn.textContent = m.list && !m.id ? 'YouTube Playlist' : 'YouTube Video';
+        }
+      } catch (_) {}
+    });
 
-          // Probe watch page for live status; if live, prefer live thumb and auto-refresh
-          safeSendMessage({ type: 'bgFetch', url: a.href }, (res2) => {
-            try {
-              if (res2 && res2.ok && res2.body) {
-                const live = isYouTubeLive(res2.body);
-                let base = thumb.src;
-                if (live && ytId) {
-                  base = `https://i.ytimg.com/vi/${ytId}/hqdefault_live.jpg`;
-                  thumb.src = base;
-                }
-                startThumbAutoRefresh(thumb, base, 60000, wrap);
-              }
-            } catch (_) {}
-          });
-          return;
+    // Clips only name their video on the clip page; playlists have no watch page.
+    const pageUrl = m.clip ? `https://www.youtube.com/clip/${m.clip}` : (m.id ? `https://www.youtube.com/watch?v=${m.id}` : null);
+    if (!pageUrl) return;
+    safeSendMessage({ type: 'bgFetch', url: pageUrl, priority }, (res2) => {
+      try {
+        if (!res2 || !res2.ok || !res2.body) return;
+        const info = parseYouTubePage(res2.body);
+        const id = m.id || info.id;
+        if (info.title && tn && !titled) { titled = true; tn.textContent = info.title; }
+        if (info.author) channel.textContent = info.author;
+        if (id && !thumb.getAttribute('src')) thumb.src = `https://i.ytimg.com/vi/${id}/hqdefault.jpg`;
+        if (m.clip && info.clip) {
+          const range = formatDuration(info.clip.start) + '–' + formatDuration(info.clip.end);
+          addCardBadge(card, '✂ ' + range, 'edgg-badge-clip', 'Clip ' + range);
+          if (info.id) {
+            card.__edggPlayer = { id: info.id, start: info.clip.start, end: info.clip.end };
+            syncYouTubePlayButton(card);
+            addBigscreenButton(card, { platform: 'youtube', id: info.id, start: info.clip.start });
+          }
         }
-      }
-      if (STATE.settings.enableTwitch && /(twitch\.tv)/.test(host)) {
-        const { channel, video } = extractTwitch(url);
-        if (channel || video) {
-          // Build a lightweight Twitch card for channels or VODs
-          const card = document.createElement('a');
-          card.className = 'edgg-card edgg-card-tw';
-          card.href = a.href;
-          card.target = '_blank';
-          card.rel = 'noopener noreferrer';
-          card.style.maxWidth = '566px';
-          card.style.width = widthPx + 'px';
-
-          const thumb = document.createElement('img');
-          thumb.className = 'edgg-card-thumb';
-          thumb.alt = 'Open on Twitch';
-          thumb.style.display = 'block';
-          thumb.style.width = '100%';
-          card.appendChild(thumb);
-
-          const overlay = document.createElement('div');
-          overlay.className = 'edgg-card-overlay';
-          overlay.innerHTML = '<div class="edgg-card-title-bg"></div><div class="edgg-card-title">Loading…</div>';
-          card.appendChild(overlay);
-
-          const wrap = document.createElement('div');
-          wrap.className = 'edgg-wrap';
-          wrap.appendChild(card);
-          const scroller = getScrollContainer(container);
-          const linkInView = isElementInView(container, scroller);
-          const shouldStick = linkInView && (STATE.stickyWanted || isAtBottom(scroller, 2));
-          // Auto-scroll fix: Use safeAppendEmbed instead of direct appendChild to preserve sticky state
-          safeAppendEmbed(container, wrap, scroller, shouldStick);
-          try { retargetLinks(wrap); } catch (_) {}
-
-          // Choose a URL to fetch for metadata
-          const fetchUrl = channel ? `https://www.twitch.tv/${encodeURIComponent(channel)}`
-                                   : `https://www.twitch.tv/videos/${encodeURIComponent(video)}`;
-          safeSendMessage({ type: 'bgFetch', url: fetchUrl }, (res) => {
-            try {
-              let title = channel ? `Twitch • ${channel}` : `Twitch Video • ${video}`;
-              let image = '';
-              let wasLive = false;
-              if (res && res.ok && res.body) {
-                const doc = new DOMParser().parseFromString(res.body, 'text/html');
-                const pick = (sel) => { const n = doc.querySelector(sel); return n ? (n.getAttribute('content') || '').trim() : ''; };
-                image = pick('meta[property="og:image"]') || pick('meta[name="twitter:image"]');
-                const desc = pick('meta[property="og:description"]') || pick('meta[name="twitter:description"]');
-                // For channel pages, prefer live title if available
-                const liveTitle = channel ? extractTwitchLiveTitle(res.body) : null;
-                if (liveTitle) {
-                  title = liveTitle;
-                  image = getTwitchLivePreviewUrl(channel, 640, 360) || image;
-                  wasLive = true;
-                } else {
-                  title = (desc && desc.length >= 3 ? desc : (pick('meta[property="og:title"]') || pick('meta[name="twitter:title"]') || title));
-                }
-              }
-              if (image) thumb.src = image; else { thumb.remove(); }
-              const tnode = overlay.querySelector('.edgg-card-title');
-              if (tnode) tnode.textContent = title;
-              if (channel && wasLive) {
-                try { startTwitchThumbAutoRefresh(thumb, channel, 60000, wrap); } catch (_) {}
-              }
-            } catch (_) { /* set minimal fallback */ try { thumb.remove(); } catch (_) {} }
-          });
-          return;
+        if (info.live && id) {
+          renderYouTubeLive(card, id, info);
+          const lookup = (done) => safeSendMessage({ type: 'bgFetch', url: pageUrl, priority: 'background' }, (r) => done(r && r.ok && r.body ? parseYouTubePage(r.body) : null));
+          trackLiveCard(card, 'youtube:' + id, lookup, (c, next) => renderYouTubeLive(c, id, next));
+        } else if (info.upcoming) {
+          const when = info.startsAt ? new Date(info.startsAt) : null;
+          const at = when && !isNaN(when) ? ' · ' + when.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }) : '';
+          addCardBadge(card, (info.premiere ? 'PREMIERE' : 'UPCOMING') + at, 'edgg-badge-upcoming', when && !isNaN(when) ? when.toLocaleString() : '');
+        } else if (info.seconds && !m.clip) {
+          addCardBadge(card, formatDuration(info.seconds), 'edgg-badge-duration');
         }
-      }
+      } catch (_) {}
+    });
+  }
 
-      // Kick (thumbnail + title overlay)
-      if (STATE.settings.enableKick && /(^|\.)kick\.com$/i.test(host)) {
-        const { channel: kChan, video: kVid } = extractKick(url);
-        if (kChan || kVid) {
-          const card = document.createElement('a');
-          card.className = 'edgg-card edgg-card-kick';
-          card.href = a.href;
-          card.target = '_blank';
-          card.rel = 'noopener noreferrer';
-          card.style.maxWidth = '566px';
-          card.style.width = widthPx + 'px';
-
-          const thumb = document.createElement('img');
-          thumb.className = 'edgg-card-thumb';
-          thumb.alt = 'Open on Kick';
-          thumb.style.display = 'block';
-          thumb.style.width = '100%';
-          card.appendChild(thumb);
-
-          const overlay = document.createElement('div');
-          overlay.className = 'edgg-card-overlay';
-          overlay.innerHTML = '<div class="edgg-card-title-bg"></div><div class="edgg-card-title">Loading…</div>';
-          card.appendChild(overlay);
-
-          const wrap = document.createElement('div');
-          wrap.className = 'edgg-wrap';
-          wrap.appendChild(card);
-          const scroller = getScrollContainer(container);
-          const linkInView = isElementInView(container, scroller);
-          const shouldStick = linkInView && (STATE.stickyWanted || isAtBottom(scroller, 2));
-          // Auto-scroll fix: Use safeAppendEmbed instead of direct appendChild to preserve sticky state
-          safeAppendEmbed(container, wrap, scroller, shouldStick);
-          try { retargetLinks(wrap); } catch (_) {}
-
-          // Fetch page metadata (title + image). Prefer live title if detectable.
-          const fetchUrl = a.href;
-          safeSendMessage({ type: 'bgFetch', url: fetchUrl }, (res) => {
-            try {
-              let title = kChan ? `Kick • ${kChan}` : `Kick Video`;
-              let image = '';
-              if (res && res.ok && res.body) {
-                const doc = new DOMParser().parseFromString(res.body, 'text/html');
-                const pick = (sel) => { const n = doc.querySelector(sel); return n ? (n.getAttribute('content') || '').trim() : ''; };
-                image = pick('meta[property="og:image"]') || pick('meta[name="twitter:image"]');
-                const desc = pick('meta[property="og:description"]') || pick('meta[name="twitter:description"]');
-                const liveT = extractKickLiveTitle(res.body);
-                if (liveT) title = liveT; else title = (desc && desc.length >= 3 ? desc : (pick('meta[property="og:title"]') || pick('meta[name="twitter:title"]') || title));
-              }
-              if (image) thumb.src = image; else { thumb.remove(); }
-              const tn = overlay.querySelector('.edgg-card-title');
-              if (tn) tn.textContent = title;
-              if (wasLive && image) {
-                try { startThumbAutoRefresh(thumb, image, 60000, wrap); } catch (_) {}
-              }
-            } catch (_) {}
-          });
-          return;
+  /**
+   * Paint a YouTube stream's title and LIVE/PREMIERE state from its watch
+   * page. Once the stream is over the card becomes a plain video card (VOD
+   * thumbnail and duration) and this returns false.
+   */
+  function renderYouTubeLive(card, id, info) {
+    const tn = card.querySelector('.edgg-card-title');
+    const thumb = card.querySelector('.edgg-card-thumb');
+    if (info.title && tn) tn.textContent = info.title;
+    card.querySelectorAll('.edgg-badge-live, .edgg-badge-duration').forEach(b => b.remove());
+    if (info.live) {
+      addCardBadge(card, info.premiere ? 'PREMIERE' : 'LIVE', 'edgg-badge-live');
+      thumb.src = `https://i.ytimg.com/vi/${id}/hqdefault_live.jpg?t=${Date.now()}`;
+      return true;
+    }
+    thumb.src = `https://i.ytimg.com/vi/${id}/hqdefault.jpg`;
+    if (info.seconds) addCardBadge(card, formatDuration(info.seconds), 'edgg-badge-duration');
+    return false;
+  }
+
+  /** Twitch card for channels (including bigscreen #twitch/ links), VODs or clips. */
+  function embedTwitch(ctx, m) {
+    if (m.clip) return embedTwitchClip(ctx, m);
+    if (m.video) return embedTwitchVideo(ctx, m);
+    embedLiveChannel(ctx, 'twitch', m.channel, 'edgg-card-tw', 'Open on Twitch');
+  }
+
+  /** Twitch VOD card: title, channel and game, with duration and `?t=` start badges. */
+  function embedTwitchVideo(ctx, m) {
+    const { card, thumb, overlay } = mountThumbCard(ctx, 'edgg-card-tw', 'Open on Twitch');
+    const byline = addCardByline(overlay);
+    if (m.start) addCardBadge(card, '▶ ' + formatDuration(m.start), 'edgg-badge-start', 'Starts at ' + formatDuration(m.start));
+    addBigscreenButton(card, { platform: 'twitch-vod', id: m.video });
+    safeSendMessage({ type: 'fetchTwitch', video: m.video, priority: ctx.priority }, (res) => {
+      try {
+        const tn = overlay.querySelector('.edgg-card-title');
+        const d = res && res.ok && res.data;
+        if (tn) tn.textContent = (d && d.title) || `Twitch Video • ${m.video}`;
+        if (!d) { thumb.remove(); return; }
+        byline.textContent = [d.channel, d.game].filter(Boolean).join(' · ');
+        if (d.thumbnail) thumb.src = d.thumbnail; else thumb.remove();
+        if (d.seconds) addCardBadge(card, formatDuration(d.seconds), 'edgg-badge-duration');
+      } catch (_) {}
+    });
+  }
+
+  /**
+   * Twitch clip card: title, channel, clipper, duration and view count, with
+   * a button that swaps the card for the clip's MP4.
+   */
+  function embedTwitchClip(ctx, m) {
+    const { card, thumb, overlay, wrap } = mountThumbCard(ctx, 'edgg-card-tw', 'Open on Twitch');
+    const byline = addCardByline(overlay);
+    addBigscreenButton(card, { platform: 'twitch-clip', id: m.clip });
+    safeSendMessage({ type: 'fetchTwitch', clip: m.clip, priority: ctx.priority }, (res) => {
+      try {
+        const tn = overlay.querySelector('.edgg-card-title');
+        const d = res && res.ok && res.data;
+        if (tn) tn.textContent = (d && d.title) || `Twitch Clip • ${m.clip}`;
+        if (!d) { thumb.remove(); addTwitchClipEmbedButton(card, wrap, m.clip); return; }
+        byline.textContent = [d.channel, d.clipper && `clipped by ${d.clipper}`, d.views && `${formatCount(d.views)} views`].filter(Boolean).join(' · ');
+        if (d.thumbnail) thumb.src = d.thumbnail; else thumb.remove();
+        if (d.seconds) addCardBadge(card, formatDuration(Math.round(d.seconds)), 'edgg-badge-duration');
+        if (d.mp4) addClipPlayButton(card, wrap, d.mp4);
+        else addTwitchClipEmbedButton(card, wrap, m.clip);
+      } catch (_) {}
+    });
+  }
+
+  /** "Play clip" button that swaps a clip card for the clip's MP4. */
+  function addClipPlayButton(card, wrap, mp4) {
+    const play = document.createElement('button');
+    play.type = 'button';
+    play.className = 'edgg-card-play';
+    play.textContent = '▶ Play clip';
+    play.addEventListener('click', (e) => {
+      // The card itself is a link to the clip page
+      e.preventDefault();
+      e.stopPropagation();
+      const thumb = card.querySelector('.edgg-card-thumb');
+      const vid = document.createElement('video');
+      vid.className = 'edgg-media';
+      vid.controls = true;
+      vid.autoplay = true;
+      vid.playsInline = true;
+      vid.style.width = card.style.width;
+      vid.style.maxWidth = card.style.maxWidth;
+      if (thumb && thumb.getAttribute('src')) vid.poster = thumb.getAttribute('src');
+      // Clip CDNs the chat's media CSP refuses are streamed by prepareVideoForCsp
+      let blocked = false;
+      try { blocked = isCspBlockedHost(new URL(mp4).hostname); } catch (_) {}
+      if (blocked) vid.dataset.edggSrc = mp4;
+      else vid.src = mp4;
+      card.replaceWith(vid);
+      muteVideosIfNeeded(wrap, sensitivityFromWrap(wrap));
+      try { prepareVideoForCsp(vid, mp4); } catch (_) {}
+    });
+    card.appendChild(play);
+  }
+
+  /**
+   * "Play clip" button for Twitch clips without a signed MP4 (the GQL lookup
+   * failed or returned no token): swap the card for Twitch's embed player. If
+   * the chat's CSP refuses that frame the card comes back, still a link.
+   */
+  function addTwitchClipEmbedButton(card, wrap, slug) {
+    const play = document.createElement('button');
+    play.type = 'button';
+    play.className = 'edgg-card-play';
+    play.textContent = '▶ Play clip';
+    play.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const sens = sensitivityFromWrap(wrap);
+      const src = new URL('https://clips.twitch.tv/embed');
+      src.searchParams.set('clip', slug);
+      src.searchParams.set('parent', location.hostname);
+      src.searchParams.set('autoplay', 'true');
+      if (sens && sens.behavior === 'mute') src.searchParams.set('muted', 'true');
+      const box = document.createElement('div');
+      box.className = 'edgg-clip-player';
+      box.style.width = card.style.width;
+      box.style.maxWidth = card.style.maxWidth;
+      const frame = document.createElement('iframe');
+      frame.className = 'edgg-embed';
+      frame.allow = 'autoplay; fullscreen';
+      frame.allowFullscreen = true;
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = 'edgg-clip-player-close';
+      close.textContent = '✕';
+      close.title = 'Close player';
+      const stop = () => {
+        document.removeEventListener('securitypolicyviolation', onViolation, true);
+        if (box.isConnected) box.replaceWith(card);
+      };
+      const onViolation = (ev) => {
+        if (!box.isConnected) { stop(); return; }
+        if (!/^(frame|child|default)-src/.test(ev.effectiveDirective || ev.violatedDirective || '')) return;
+        const blocked = String(ev.blockedURI || '');
+        if (blocked && (src.href.startsWith(blocked) || blocked === 'https')) stop();
+      };
+      close.addEventListener('click', (ev) => { ev.stopPropagation(); stop(); });
+      document.addEventListener('securitypolicyviolation', onViolation, true);
+      frame.src = src.href;
+      box.append(frame, close);
+      card.replaceWith(box);
+    });
+    card.appendChild(play);
+  }
+
+  /** Kick card: a live channel (see embedLiveChannel), a VOD or a clip. */
+  function embedKick(ctx, m) {
+    if (m.channel) return embedLiveChannel(ctx, 'kick', m.channel, 'edgg-card-kick', 'Open on Kick');
+    const { card, thumb, overlay, wrap } = mountThumbCard(ctx, 'edgg-card-kick', 'Open on Kick');
+    const byline = addCardByline(overlay);
+    safeSendMessage({ type: 'fetchKick', video: m.video, clip: m.clip, priority: ctx.priority }, (res) => {
+      try {
+        const tn = overlay.querySelector('.edgg-card-title');
+        const d = res && res.ok && res.data;
+        if (tn) tn.textContent = (d && d.title) || (m.clip ? `Kick Clip • ${m.clip}` : 'Kick Video');
+        if (!d) { thumb.remove(); return; }
+        if (d.thumbnail) thumb.src = d.thumbnail; else thumb.remove();
+        if (m.clip) {
+          byline.textContent = [d.channel, d.clipper && `clipped by ${d.clipper}`, d.views && `${formatCount(d.views)} views`].filter(Boolean).join(' · ');
+          if (d.seconds) addCardBadge(card, formatDuration(Math.round(d.seconds)), 'edgg-badge-duration');
+          if (d.mp4) addClipPlayButton(card, wrap, d.mp4);
+        } else {
+          byline.textContent = [d.channel, d.category].filter(Boolean).join(' · ');
+          if (d.seconds) addCardBadge(card, formatDuration(d.seconds), 'edgg-badge-duration');
         }
-      }
+      } catch (_) {}
+    });
+  }
+
+  /**
+   * Channel card for a Twitch or Kick stream, filled from the worker's
+   * `liveStatus` lookup: avatar, title and category, with LIVE, viewer and
+   * uptime badges and a refreshing live preview while live, or the offline
+   * banner and "offline — last seen …" otherwise.
+   */
+  function embedLiveChannel(ctx, platform, channel, className, alt) {
+    const { card } = mountThumbCard(ctx, className, alt);
+    addCardByline(card.querySelector('.edgg-card-overlay'));
+    addBigscreenButton(card, { platform, id: channel });
+    const fallbackTitle = `${platform === 'kick' ? 'Kick' : 'Twitch'} • ${channel}`;
+    resolveVia(ctx, { platform, channel }, (res) => {
+      try {
+        const d = res && res.ok && res.data;
+        renderLiveStatus(card, d, fallbackTitle);
+        if (!d) return;
+        // Offline cards stay scheduled (slower) until removed, to catch the stream going live
+        const lookup = (done) => safeSendMessage({ type: ctx.provider.resolve, platform, channel, priority: 'background' }, (r) => done(r && r.ok ? r.data : null));
+        const refreshMs = (data) => (data && data.live ? LIVE_REFRESH_MS : LIVE_OFFLINE_REFRESH_MS);
+        trackLiveCard(card, `${platform}:${channel.toLowerCase()}`, lookup, (c, next) => { renderLiveStatus(c, next, fallbackTitle); return true; }, d, refreshMs);
+      } catch (_) {}
+    });
+  }
+
+  /** Fill a channel card from `liveStatus` data (null = lookup failed, show `fallbackTitle`). */
+  function renderLiveStatus(card, d, fallbackTitle) {
+    const thumb = card.querySelector('.edgg-card-thumb');
+    const overlay = card.querySelector('.edgg-card-overlay');
+    const tn = overlay.querySelector('.edgg-card-title');
+    const byline = overlay.querySelector('.edgg-card-author');
+    card.querySelectorAll('.edgg-card-badge').forEach(b => b.remove());
+    card.classList.toggle('edgg-card-offline', !!d && !d.live);
+    tn.textContent = (d && (d.title || d.channel)) || fallbackTitle;
+    const image = d && d.thumbnail;
+    // Without an image the overlay becomes the whole card
+    card.classList.toggle('edgg-card-compact', !image);
+    // Live previews keep their URL, so bust the browser cache on each repaint
+    if (image) { thumb.src = d.live ? image + (image.includes('?') ? '&' : '?') + 't=' + Date.now() : image; thumb.style.display = 'block'; } else { thumb.removeAttribute('src'); thumb.style.display = 'none'; }
+    if (!d) return;
+
+    let avatar = overlay.querySelector('.edgg-card-avatar');
+    if (d.avatar && !avatar) {
+      avatar = document.createElement('img');
+      avatar.className = 'edgg-card-avatar';
+      avatar.alt = '';
+      overlay.insertBefore(avatar, tn);
+    }
+    if (avatar) avatar.src = d.avatar || '';
+
+    if (d.live) {
+      byline.textContent = [d.channel, d.category].filter(Boolean).join(' · ');
+      addCardBadge(card, 'LIVE', 'edgg-badge-live');
+      addCardBadge(card, `${formatCount(d.viewers)} viewers`, 'edgg-badge-viewers');
+      if (d.startedAt) addCardBadge(card, formatUptime(d.startedAt), 'edgg-badge-uptime', 'Live since ' + new Date(d.startedAt).toLocaleString());
+    } else {
+      byline.textContent = `${d.channel} · offline` + (d.lastSeen ? ` — last seen ${formatAgo(d.lastSeen)}` : '');
     }
   }
 
@@ -887,10 +1175,12 @@
    * Resolve an Imgur gallery/image page into a direct media URL via og: tags
    * and embed it like a normal image/video element.
    */
-  function resolveAndEmbedImgur(originUrl, container, widthPx, sensitivity) {
+  function resolveAndEmbedImgur(ctx) {
+    const originUrl = ctx.a.href;
+    const { widthPx } = ctx;
     try {
-      safeSendMessage({ type: 'bgFetch', url: originUrl }, (res) => {
-        if (!res || !res.ok || !res.body) return;
+      resolveVia(ctx, { url: originUrl }, (res) => {
+        if (!res || !res.ok || !res.body) { markEmbedFailed(ctx); return; }
         try {
           const doc = new DOMParser().parseFromString(res.body, 'text/html');
           const pickMeta = (sel) => {
@@ -921,7 +1211,7 @@
             src.type = /\.webm(?:$|\?)/i.test(videoUrl) ? 'video/webm' : 'video/mp4';
             vid.appendChild(src);
             try { prepareVideoForCsp(vid, videoUrl); } catch (_) {}
-            injectBelow(container, vid, originUrl, widthPx, sensitivity);
+            injectBelow(ctx, vid, originUrl);
             return;
           }
 
@@ -932,49 +1222,68 @@
             img.src = imageUrl;
             img.className = 'edgg-media';
             img.style.maxWidth = '566px';
-            injectBelow(container, img, originUrl, widthPx, sensitivity);
+            injectBelow(ctx, img, originUrl);
             return;
           }
-        } catch (_) {}
+          markEmbedFailed(ctx);
+        } catch (_) { markEmbedFailed(ctx); }
       });
     } catch (_) {}
   }
 
   /** Resolve a Reddit post URL (comments link) and embed trimmed text + media. */
-  function resolveAndEmbedReddit(originUrl, container, widthPx, sensitivity) {
+  function resolveAndEmbedReddit(ctx, match) {
+    const originUrl = ctx.a.href;
+    const { widthPx } = ctx;
     let apiUrl;
     try {
       const u = new URL(originUrl, location.href);
-      // Ensure we fetch the JSON for the post
-      const base = u.origin + u.pathname.replace(/\/?$/, '/') + '.json?raw_json=1';
+      // Ensure we fetch the JSON for the post (/gallery/<id> links have none of their own);
+      // comment permalinks also get their parent comment as context
+      const path = match && match.galleryId ? `/comments/${match.galleryId}/`
+        : match && match.commentId ? `/comments/${match.postId}/_/${match.commentId}/`
+        : u.pathname.replace(/\/?$/, '/');
+      const base = u.origin + path + '.json?raw_json=1' + (match && match.commentId ? '&context=1' : '');
       apiUrl = base;
     } catch (_) { apiUrl = originUrl + '.json?raw_json=1'; }
 
-    safeSendMessage({ type: 'bgFetch', url: apiUrl }, (res) => {
+    resolveVia(ctx, { url: apiUrl }, (res) => {
       try {
-        if (!res || !res.ok || !res.body) return;
+        if (!res || !res.ok || !res.body) { markEmbedFailed(ctx); return; }
         const json = JSON.parse(res.body);
         const post = Array.isArray(json) && json[0] && json[0].data && json[0].data.children && json[0].data.children[0]
           ? json[0].data.children[0].data
           : null;
-        if (!post) return;
+        if (!post) { markEmbedFailed(ctx); return; }
 
-        const textRaw = String(post.selftext || post.title || '').trim();
+        // Comment permalink: the comment itself instead of the post
+        const found = match && match.commentId ? findRedditComment(json[1], match.commentId) : null;
+        if (found) {
+          embedRedditComment(ctx, post, found.comment, found.parent);
+          return;
+        }
+
+        // Crossposts have no media of their own; the original post does
+        const source = (Array.isArray(post.crosspost_parent_list) && post.crosspost_parent_list[0]) || post;
+
+        const textRaw = String(post.selftext || source.selftext || post.title || '').trim();
         const textTrim = textRaw.length > 300 ? (textRaw.slice(0, 300) + '…') : textRaw;
 
-        // Try to find media: reddit hosted video, image, or preview
+        // Gallery posts: every item, paged like tweet media
+        const gallery = redditGalleryItems(source, widthPx);
+
+        // Otherwise try to find media: reddit hosted video, image, or preview
         let videoUrl = null;
         let imageUrl = null;
         const unescape = (s) => String(s || '').replace(/&amp;/g, '&').replace(/&quot;/g, '"');
 
-        if (post.is_video && post.media && post.media.reddit_video && post.media.reddit_video.fallback_url) {
-          videoUrl = post.media.reddit_video.fallback_url;
-        } else if (post.secure_media && post.secure_media.reddit_video && post.secure_media.reddit_video.fallback_url) {
-          videoUrl = post.secure_media.reddit_video.fallback_url;
-        } else if (post.url && /\.(png|jpe?g|gif|webp)$/i.test(post.url)) {
-          imageUrl = post.url;
-        } else if (post.preview && post.preview.images && post.preview.images[0] && post.preview.images[0].source && post.preview.images[0].source.url) {
-          imageUrl = unescape(post.preview.images[0].source.url);
+        const redditVideo = (source.media && source.media.reddit_video) || (source.secure_media && source.secure_media.reddit_video) || null;
+        if (redditVideo && redditVideo.fallback_url) {
+          videoUrl = redditVideo.fallback_url;
+        } else if (source.url && /\.(png|jpe?g|gif|webp)$/i.test(source.url)) {
+          imageUrl = source.url;
+        } else if (source.preview && source.preview.images && source.preview.images[0] && source.preview.images[0].source && source.preview.images[0].source.url) {
+          imageUrl = unescape(source.preview.images[0].source.url);
         }
 
         const card = document.createElement('div');
@@ -983,17 +1292,29 @@
         card.style.width = widthPx + 'px';
 
         const body = document.createElement('div');
-        const header = document.createElement('div');
-        header.className = 'edgg-tweet-header';
-        const sub = String(post.subreddit_name_prefixed || post.subreddit || 'Reddit');
-        header.innerHTML = `<span class="edgg-tweet-user">${escapeHtml(sub)}</span>`;
+        const header = redditHeader(post, post.link_flair_text);
+        if (source !== post && source.subreddit_name_prefixed) {
+          header.appendChild(textSpan('edgg-card-author', 'crossposted from ' + source.subreddit_name_prefixed));
+        }
         const textEl = document.createElement('div');
         textEl.className = 'edgg-tweet-text';
         textEl.textContent = textTrim;
         body.appendChild(header);
         body.appendChild(textEl);
 
-        if (videoUrl) {
+        if (gallery.length) {
+          const mediaWrap = document.createElement('div');
+          mediaWrap.className = 'edgg-tweet-media';
+          gallery.forEach(item => mediaWrap.appendChild(redditGalleryNode(item, widthPx)));
+          body.appendChild(mediaWrap);
+          // A single item gets no pager, so show its caption here
+          if (gallery.length === 1 && gallery[0].caption) {
+            const cap = document.createElement('div');
+            cap.className = 'edgg-card-meta edgg-pager-caption';
+            cap.textContent = gallery[0].caption;
+            body.appendChild(cap);
+          }
+        } else if (videoUrl) {
           const vid = document.createElement('video');
           vid.preload = 'metadata';
           vid.controls = true;
@@ -1005,6 +1326,10 @@
           src.src = videoUrl;
           src.type = 'video/mp4';
           vid.appendChild(src);
+          // fallback_url has no audio; the DASH manifest has both tracks
+          if (redditVideo.dash_url) vid.dataset.edggDash = unescape(redditVideo.dash_url);
+          const poster = source.preview && source.preview.images && source.preview.images[0] && source.preview.images[0].source;
+          if (poster && poster.url) vid.poster = unescape(poster.url);
           try { prepareVideoForCsp(vid, videoUrl); } catch (_) {}
           const mediaWrap = document.createElement('div');
           mediaWrap.className = 'edgg-tweet-media';
@@ -1028,11 +1353,153 @@
         body.appendChild(footer);
 
         card.appendChild(body);
-        injectBelow(container, card, sanitizeRedditUrl(originUrl), widthPx, sensitivity);
-      } catch (_) {}
+        // Per-media covers (a cover on the whole wrap would hide the pager),
+        // then prev/next for galleries
+        const { sensitivity } = ctx;
+        try { applySpoilersInRoot(body, sensitivity, STATE.settings.blurMedia || isBlurSensitivity(sensitivity)); } catch (_) {}
+        try { initTweetMediaPager(body); } catch (_) {}
+        injectBelow(ctx, card, sanitizeRedditUrl(originUrl));
+      } catch (_) { markEmbedFailed(ctx); }
     });
   }
 
+  /** "r/sub · u/author · flair · 1.2k points" header shared by post and comment cards. */
+  function redditHeader(thing, flair) {
+    const header = document.createElement('div');
+    header.className = 'edgg-tweet-header';
+    header.appendChild(textSpan('edgg-tweet-user', String(thing.subreddit_name_prefixed || thing.subreddit || 'Reddit')));
+    if (thing.author && thing.author !== '[deleted]') header.appendChild(textSpan('edgg-card-author', 'u/' + thing.author));
+    if (flair) header.appendChild(textSpan('edgg-reddit-flair', String(flair)));
+    if (typeof thing.score === 'number' && !thing.score_hidden) {
+      header.appendChild(textSpan('edgg-card-author', formatRedditScore(thing.score)));
+    }
+    return header;
+  }
+
+  /** `<span class="className">text</span>`, for card headers and meta lines. */
+  function textSpan(className, text) {
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text;
+    return span;
+  }
+
+  function formatRedditScore(n) {
+    return formatCount(n) + (n === 1 ? ' point' : ' points');
+  }
+
+  /**
+   * Find comment `id` in a comments listing (depth-first through replies).
+   * Returns `{ comment, parent }`, parent being the enclosing comment or null.
+   */
+  function findRedditComment(listing, id, parent = null) {
+    const children = listing && listing.data && Array.isArray(listing.data.children) ? listing.data.children : [];
+    for (const child of children) {
+      if (!child || child.kind !== 't1' || !child.data) continue;
+      if (String(child.data.id).toLowerCase() === id.toLowerCase()) return { comment: child.data, parent };
+      const hit = findRedditComment(child.data.replies, id, child.data);
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  /** Comment permalink card: the comment, its parent for context, and the post title. */
+  function embedRedditComment(ctx, post, comment, parent) {
+    const { widthPx } = ctx;
+    const trim = (s, n) => { s = String(s || '').trim(); return s.length > n ? s.slice(0, n) + '…' : s; };
+
+    const card = document.createElement('div');
+    card.className = 'edgg-embed edgg-reddit edgg-reddit-comment';
+    card.style.maxWidth = '566px';
+    card.style.width = widthPx + 'px';
+    const body = document.createElement('div');
+    body.appendChild(redditHeader({ ...comment, subreddit_name_prefixed: comment.subreddit_name_prefixed || post.subreddit_name_prefixed }, comment.author_flair_text));
+
+    const onPost = document.createElement('div');
+    onPost.className = 'edgg-card-meta';
+    onPost.textContent = 'on: ' + trim(post.title, 120);
+    body.appendChild(onPost);
+
+    if (parent) {
+      const quote = document.createElement('div');
+      quote.className = 'edgg-reddit-parent';
+      quote.appendChild(textSpan('edgg-card-author', 'u/' + (parent.author || '[deleted]') + ': '));
+      quote.appendChild(document.createTextNode(trim(parent.body, 200)));
+      body.appendChild(quote);
+    }
+
+    const textEl = document.createElement('div');
+    textEl.className = 'edgg-tweet-text';
+    textEl.textContent = trim(comment.body, 500);
+    body.appendChild(textEl);
+
+    const footer = document.createElement('div');
+    footer.className = 'edgg-tweet-footer';
+    footer.innerHTML = `<a href="${sanitizeRedditUrl(ctx.a.href)}" target="_blank" rel="noopener noreferrer">Open on Reddit</a>`;
+    body.appendChild(footer);
+
+    card.appendChild(body);
+    injectBelow(ctx, card, sanitizeRedditUrl(ctx.a.href));
+  }
+
+  /**
+   * Items of a Reddit gallery post, in gallery order: `{ kind, src, caption }`
+   * from `gallery_data` + `media_metadata`. Animated items use their mp4
+   * variant; items Reddit hasn't finished processing are skipped.
+   */
+  function redditGalleryItems(post, widthPx) {
+    if (!post || !post.is_gallery || !post.gallery_data || !post.media_metadata) return [];
+    const unescape = (s) => String(s || '').replace(/&amp;/g, '&');
+    const out = [];
+    for (const item of post.gallery_data.items || []) {
+      const meta = post.media_metadata[item.media_id];
+      if (!meta || meta.status !== 'valid' || !meta.s) continue;
+      const caption = String(item.caption || '').trim();
+      if (meta.e === 'AnimatedImage') {
+        if (meta.s.mp4) out.push({ kind: 'video', src: unescape(meta.s.mp4), caption });
+        else if (meta.s.gif) out.push({ kind: 'image', src: unescape(meta.s.gif), caption });
+      } else if (meta.e === 'Image') {
+        // Smallest preview at least as wide as the embed (at 2x), else the original
+        const previews = Array.isArray(meta.p) ? meta.p : [];
+        const fit = previews.find(p => p && p.x >= (widthPx || 400) * 2 && p.u);
+        out.push({ kind: 'image', src: unescape(fit ? fit.u : meta.s.u), caption });
+      }
+    }
+    return out;
+  }
+
+  function redditGalleryNode(item, widthPx) {
+    if (item.kind === 'video') {
+      // Animated GIFs: silent loop, started by the user like other videos
+      const vid = document.createElement('video');
+      vid.preload = 'metadata';
+      vid.controls = true;
+      vid.loop = true;
+      vid.muted = true;
+      vid.playsInline = true;
+      vid.className = 'edgg-media edgg-tweet-video';
+      vid.style.maxWidth = '566px';
+      vid.style.width = widthPx + 'px';
+      const src = document.createElement('source');
+      src.src = item.src;
+      src.type = 'video/mp4';
+      vid.appendChild(src);
+      if (item.caption) vid.setAttribute('data-edgg-caption', item.caption);
+      try { prepareVideoForCsp(vid, item.src); } catch (_) {}
+      return vid;
+    }
+    const img = document.createElement('img');
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    img.src = item.src;
+    img.className = 'edgg-media edgg-tweet-photo';
+    if (item.caption) {
+      img.alt = item.caption;
+      img.setAttribute('data-edgg-caption', item.caption);
+    }
+    return img;
+  }
+
   function sanitizeRedditUrl(u) {
     try {
       const url = new URL(u, location.href);
@@ -1042,15 +1509,17 @@
     } catch (_) { return u; }
   }
   /** Resolve an Instagram page (post/reel) into media via canonical /p/ URL. */
-  function resolveAndEmbedInstagram(originUrl, container, widthPx, sensitivity) {
+  function resolveAndEmbedInstagram(ctx) {
+    const originUrl = ctx.a.href;
+    const { widthPx } = ctx;
     try {
-      const primary = canonicalizeInstagramUrl(originUrl);
+      const primary = EDGG.canonicalizeInstagramUrl(originUrl);
       console.log(primary);
 
 
-      safeSendMessage({ type: 'bgFetch', url: primary }, (res) => {
+      resolveVia(ctx, { url: primary }, (res) => {
         console.log(res);
-        if (!res || !res.ok || !res.body) return;
+        if (!res || !res.ok || !res.body) { markEmbedFailed(ctx); return; }
         try {
           const doc = new DOMParser().parseFromString(res.body, 'text/html');
           const pick = (sel) => { const m = doc.querySelector(sel); return m ? (m.getAttribute('content') || '').trim() : ''; };
@@ -1124,14 +1593,14 @@
               block.appendChild(cap);
             }
             // Use canonical /p/ URL as the embed's origin link, while leaving the message text untouched
-            injectBelow(container, block, primary, widthPx, sensitivity);
+            injectBelow(ctx, block, primary);
             return;
           }
 
           // Try ddinstagram mirror first when no direct video found
           const altUrl = buildDdInstagramUrl(primary);
           if (altUrl) {
-            safeSendMessage({ type: 'bgFetch', url: altUrl }, (r2) => {
+            resolveVia(ctx, { url: altUrl }, (r2) => {
               try {
                 if (!r2 || !r2.ok || !r2.body) {
                   if (imageUrl) {
@@ -1146,8 +1615,8 @@
                     block.appendChild(img);
                     const cap = extractInstagramCaption(res.body);
                     if (cap) { const cEl = document.createElement('div'); cEl.className = 'edgg-card-meta edgg-ig-caption'; cEl.textContent = cap; block.appendChild(cEl); }
-                    injectBelow(container, block, primary, widthPx, sensitivity);
-                  }
+                    injectBelow(ctx, block, primary);
+                  } else markEmbedFailed(ctx);
                   return;
                 }
                 const d2 = new DOMParser().parseFromString(r2.body, 'text/html');
@@ -1173,7 +1642,7 @@
                   block2.appendChild(vid2);
                   const cap2 = extractInstagramCaption(r2.body);
                   if (cap2) { const c2 = document.createElement('div'); c2.className = 'edgg-card-meta edgg-ig-caption'; c2.textContent = cap2; block2.appendChild(c2); }
-                  injectBelow(container, block2, primary, widthPx, sensitivity);
+                  injectBelow(ctx, block2, primary);
                   return;
                 }
                 if (i2) {
@@ -1188,7 +1657,7 @@
                   block3.appendChild(im2);
                   const cap3 = extractInstagramCaption(r2.body);
                   if (cap3) { const c3 = document.createElement('div'); c3.className = 'edgg-card-meta edgg-ig-caption'; c3.textContent = cap3; block3.appendChild(c3); }
-                  injectBelow(container, block3, primary, widthPx, sensitivity);
+                  injectBelow(ctx, block3, primary);
                   return;
                 }
                 // As a last resort, fallback to original image if available
@@ -1204,8 +1673,8 @@
                   block4.appendChild(img);
                   const cap4 = extractInstagramCaption(res.body);
                   if (cap4) { const c4 = document.createElement('div'); c4.className = 'edgg-card-meta edgg-ig-caption'; c4.textContent = cap4; block4.appendChild(c4); }
-                  injectBelow(container, block4, primary, widthPx, sensitivity);
-                }
+                  injectBelow(ctx, block4, primary);
+                } else markEmbedFailed(ctx);
               } catch (_) {
                 if (imageUrl) {
                   const block5 = document.createElement('div');
@@ -1219,8 +1688,8 @@
                   block5.appendChild(img);
                   const cap5 = extractInstagramCaption(res.body);
                   if (cap5) { const c5 = document.createElement('div'); c5.className = 'edgg-card-meta edgg-ig-caption'; c5.textContent = cap5; block5.appendChild(c5); }
-                  injectBelow(container, block5, primary, widthPx, sensitivity);
-                }
+                  injectBelow(ctx, block5, primary);
+                } else markEmbedFailed(ctx);
               }
             });
             return;
@@ -1233,25 +1702,15 @@
             img.src = imageUrl;
             img.className = 'edgg-media';
             img.style.maxWidth = '566px';
-            injectBelow(container, img, primary, widthPx, sensitivity);
+            injectBelow(ctx, img, primary);
             return;
           }
-        } catch (_) {}
+          markEmbedFailed(ctx);
+        } catch (_) { markEmbedFailed(ctx); }
       });
     } catch (_) {}
   }
 
-  // Map Instagram reels/reel URLs to canonical /p/<id> post URLs so OG tags resolve reliably
-  function canonicalizeInstagramUrl(u) {
-    try {
-      const url = new URL(u, location.href);
-      url.hostname = url.hostname.replace(/^www\./, '');
-      if (!/(^|\.)instagram\.com$/i.test(url.hostname)) return u;
-      url.pathname = url.pathname.replace(/^\/reels\//i, '/p/').replace(/^\/reel\//i, '/p/');
-      return url.href;
-    } catch (_) { return u; }
-  }
-
   /**
    * Render a normalized tweet JSON object into an existing tweet card element.
    * Accepts fields from Twitter's widget CDN and Fx/VxTwitter enrichment.
@@ -1368,13 +1827,14 @@
             hostname = new URL(vu, location.href).hostname.replace(/^www\./, '').toLowerCase();
           } catch (_) {}
           var blockedHost = isCspBlockedHost(hostname);
+          var posterAttr = v.poster && /^https:\/\/pbs\.twimg\.com\//.test(v.poster) ? ' poster="' + escapeHtml(String(v.poster)) + '"' : '';
           if (blockedHost) {
             mediaNodes.push(
-              '<video class="edgg-media edgg-tweet-video" data-edgg-src="' + safeUrl + '" controls preload="metadata" playsinline></video>'
+              '<video class="edgg-media edgg-tweet-video" data-edgg-src="' + safeUrl + '"' + posterAttr + ' controls preload="metadata" playsinline></video>'
             );
           } else {
             mediaNodes.push(
-              '<video class="edgg-media edgg-tweet-video" controls preload="metadata" playsinline>' +
+              '<video class="edgg-media edgg-tweet-video"' + posterAttr + ' controls preload="metadata" playsinline>' +
                 '<source src="' + safeUrl + '" type="video/mp4">' +
               '</video>'
             );
@@ -1411,7 +1871,15 @@
     // Ensure all links open in a new tab and expand t.co shortlinks inside text
     try { retargetLinks(body); } catch (_) {}
     try { expandTcoLinksIn(body); } catch (_) {}
+    finishTweetBody(cardEl, body);
+  }
 
+  /**
+   * Last steps of hydrating a tweet-layout card (tweets, Bluesky posts): keep
+   * the chat pinned as media loads, route CSP-blocked videos through blob:,
+   * apply spoiler covers and set up the media pager.
+   */
+  function finishTweetBody(cardEl, body) {
     // If images load later, keep bottom locked
     var imgs2 = body.querySelectorAll('img,video');
     for (var k = 0; k < imgs2.length; k++) {
@@ -1428,8 +1896,8 @@
     // Apply spoiler overlays if enabled or sensitivity tagged
     try {
       var wrap = cardEl.closest && cardEl.closest('.edgg-wrap');
-      var label = wrap && wrap.getAttribute('data-edgg-sensitivity');
-      applySpoilersInRoot(body, label, STATE.settings.blurMedia || !!label);
+      var sens = sensitivityFromWrap(wrap);
+      applySpoilersInRoot(body, sens, STATE.settings.blurMedia || isBlurSensitivity(sens));
     } catch (_) {}
     
     // Initialize pager if multiple media present (after spoiler setup)
@@ -1440,7 +1908,8 @@
    * Insert an embed wrapper directly below the message container, maintain
    * sticky scroll when appropriate, and apply spoiler overlays.
    */
-  function injectBelow(container, el, originUrl, desiredWidthPx, sensitivityLabel) {
+  function injectBelow(ctx, el, originUrl) {
+    const { container, widthPx: desiredWidthPx, sensitivity } = ctx;
     const scroller = getScrollContainer(container);
     // Only stick when the message/link is visible AND we're at-bottom/sticky
     const linkInView = isElementInView(container, scroller);
@@ -1454,8 +1923,15 @@
 
     const wrap = document.createElement("div");
     wrap.className = "edgg-wrap edgg-left";
+    wrap.setAttribute("data-edgg-provider", ctx.provider.id);
+    wrap.setAttribute("data-edgg-link", ctx.linkKey);
+    if (ctx.mediaKey) wrap.setAttribute("data-edgg-key", ctx.mediaKey);
     if (originUrl) wrap.setAttribute("data-edgg-origin", originUrl);
-    if (sensitivityLabel) wrap.setAttribute('data-edgg-sensitivity', sensitivityLabel);
+    if (sensitivity) {
+      wrap.setAttribute('data-edgg-sensitivity', sensitivity.label);
+      wrap.setAttribute('data-edgg-behavior', sensitivity.behavior);
+      if (sensitivity.overlay) wrap.setAttribute('data-edgg-overlay', sensitivity.overlay);
+    }
     if (desiredWidthPx && Number.isFinite(desiredWidthPx)) {
       wrap.style.maxWidth = "566px";
       wrap.style.width = '100%'; //desiredWidthPx + "px";
@@ -1492,14 +1968,14 @@
     try { ensureCspSafeVideos(wrap); } catch (_) {}
 
     // Apply spoiler/blur overlay if enabled or sensitivity-tagged
-    try { applySpoilerIfNeeded(wrap, sensitivityLabel, STATE.settings.blurMedia || !!sensitivityLabel); } catch (_) {}
+    try { applySpoilerIfNeeded(wrap, sensitivity, STATE.settings.blurMedia || isBlurSensitivity(sensitivity)); } catch (_) {}
   }
 
   /** Compute a reasonable embed width based on chat layout (max 566px). */
   function computeDesiredWidth(container) {
     // Try to infer username gutter by checking the first child element width if it looks like a username span
     let gutter = 0;
-    const userEl = container.querySelector('.user, .nick, .username, [class*="name"], .from');
+    const userEl = container.querySelector(SITE.author);
     if (userEl) {
       const rect = userEl.getBoundingClientRect();
       gutter = rect.width || 0;
@@ -1513,189 +1989,718 @@
     return { widthPx: Math.round(width) };
   }
 
-  /** Extract a YouTube video id from common URL shapes. */
-  function extractYouTubeId(u) {
-    // Handle youtu.be/<id>, youtube.com/watch?v=<id>, /shorts/<id>
-    if (u.hostname === "youtu.be") return u.pathname.slice(1);
-    if (u.hostname.includes("youtube.com")) {
-      const v = u.searchParams.get("v");
-      if (v) return v;
-      const m = u.pathname.match(/\/shorts\/([^/]+)/);
-      if (m) return m[1];
+  function buildDdInstagramUrl(u) {
+    try {
+      const url = new URL(u, location.href);
+      url.hostname = url.hostname.replace(/^www\./, '');
+      if (!/instagram\.com$/i.test(url.hostname)) return null;
+      const alt = new URL(u, location.href);
+      alt.hostname = 'ddinstagram.com';
+      // Path is already canonicalized to /p/<id> upstream
+      return alt.href;
+    } catch (_) { return null; }
+  }
+
+  // Try to extract Instagram caption text from HTML body
+  function extractInstagramCaption(html) {
+    try {
+      if (!html || typeof html !== 'string') return '';
+      const tryRe = (re) => { const m = html.match(re); return (m && m[1]) ? decodeJsonString(m[1]) : ''; };
+      // Common shapes
+      let cap = tryRe(/\"edge_media_to_caption\"\s*:\s*\{\s*\"edges\"\s*:\s*\[\s*\{\s*\"node\"\s*:\s*\{\s*\"text\"\s*:\s*\"([^\"]{1,2000})\"/);
+      if (cap) return cap;
+      cap = tryRe(/\"caption\"\s*:\s*\"([^\"]{1,2000})\"/);
+      if (cap) return cap;
+      cap = tryRe(/\"caption\"\s*:\s*\{\s*\"text\"\s*:\s*\"([^\"]{1,2000})\"/);
+      if (cap) return cap;
+      cap = tryRe(/\"accessibility_caption\"\s*:\s*\"([^\"]{1,2000})\"/);
+      if (cap) return cap;
+      // Fallback to meta descriptions (may include more text)
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const meta = (sel) => { const n = doc.querySelector(sel); return n ? (n.getAttribute('content') || '').trim() : ''; };
+      cap = meta('meta[name="description"]') || meta('meta[property="og:description"]') || '';
+      return cap;
+    } catch (_) { return ''; }
+  }
+
+  // Hosts that commonly get blocked by the page CSP; fetch to blob: instead of direct loading
+  function isCspBlockedHost(hostname) {
+    try {
+      const h = String(hostname || '').toLowerCase();
+      return /(^|\.)files\.catbox\.moe$/.test(h) || /(^|\.)video\.twimg\.com$/.test(h) || /(^|\.)v\.redd\.it$/.test(h) || /cdninstagram\.com$/.test(h) || /(^|\.)bsky\.network$/.test(h) || /(^|\.)twitchcdn\.net$/.test(h);
+    } catch (_) { return false; }
+  }
+
+  // ---- Live refresh ----
+  // One timer refreshes every live card (Twitch and Kick channels, YouTube
+  // streams). Cards register under a key naming what they show
+  // (`twitch:destiny`, `youtube:<id>`); a refresh looks each key up once and
+  // repaints its cards that are on screen. Nothing is fetched while the tab is
+  // hidden or for keys whose cards are all off screen; a stale key refreshes
+  // as soon as one of its cards comes back into view. Offline channels are
+  // polled less often, so a card picks it up when the stream starts.
+  const LIVE_REFRESH_MS = 60000;
+  const LIVE_OFFLINE_REFRESH_MS = 5 * 60000;
+  const liveGroups = new Map(); // key -> { lookup, render, refreshMs, cards, data, fetchedAt, busy }
+  let liveTimer = null;
+  let liveIO = null;
+
+  /**
+   * Keep a live card fresh. `lookup(done)` fetches the current data (or
+   * passes null on failure) and `render(card, data)` repaints a card from it,
+   * returning false once the stream is over; the card then leaves the
+   * schedule in its offline/VOD state. `data` is what the card was first
+   * rendered from; `refreshMs(data)`, if given, picks the refresh interval.
+   */
+  function trackLiveCard(card, key, lookup, render, data, refreshMs) {
+    let group = liveGroups.get(key);
+    if (!group) {
+      group = { lookup, render, refreshMs, cards: new Set(), data: data || null, fetchedAt: Date.now(), busy: false };
+      liveGroups.set(key, group);
+    }
+    group.cards.add(card);
+    card.__edggLiveKey = key;
+    card.__edggLiveAt = Date.now();
+    card.__edggOnScreen = typeof IntersectionObserver !== 'function';
+    if (!card.__edggOnScreen) {
+      if (!liveIO) {
+        liveIO = new IntersectionObserver((entries) => {
+          for (const e of entries) {
+            e.target.__edggOnScreen = e.isIntersecting;
+            if (e.isIntersecting) showLiveCard(e.target);
+          }
+        });
+      }
+      liveIO.observe(card);
+    }
+    if (!liveTimer) {
+      liveTimer = setInterval(refreshLiveCards, LIVE_REFRESH_MS / 4);
+      document.addEventListener('visibilitychange', refreshLiveCards);
+    }
+  }
+
+  function untrackLiveCard(card) {
+    const group = liveGroups.get(card.__edggLiveKey);
+    if (liveIO) liveIO.unobserve(card);
+    card.__edggLiveKey = null;
+    if (!group) return;
+    group.cards.delete(card);
+    if (group.cards.size) return;
+    for (const [key, g] of liveGroups) if (g === group) liveGroups.delete(key);
+    if (!liveGroups.size && liveTimer) {
+      clearInterval(liveTimer);
+      liveTimer = null;
+      document.removeEventListener('visibilitychange', refreshLiveCards);
+    }
+  }
+
+  function paintLiveCard(group, card) {
+    card.__edggLiveAt = group.fetchedAt;
+    let live = false;
+    try { live = group.render(card, group.data) !== false; } catch (_) {}
+    if (!live) untrackLiveCard(card);
+  }
+
+  function isLiveGroupStale(group) {
+    const every = group.refreshMs ? group.refreshMs(group.data) : LIVE_REFRESH_MS;
+    return Date.now() - group.fetchedAt >= every;
+  }
+
+  /** A card scrolled into view: catch it up with newer data, or refresh if stale. */
+  function showLiveCard(card) {
+    const group = liveGroups.get(card.__edggLiveKey);
+    if (!group) return;
+    if (group.data && card.__edggLiveAt < group.fetchedAt && !isLiveGroupStale(group)) paintLiveCard(group, card);
+    else refreshLiveGroup(card.__edggLiveKey);
+  }
+
+  function refreshLiveCards() {
+    for (const key of [...liveGroups.keys()]) refreshLiveGroup(key);
+  }
+
+  function refreshLiveGroup(key) {
+    const group = liveGroups.get(key);
+    if (!group || group.busy || document.hidden) return;
+    if (!isLiveGroupStale(group)) return;
+    group.cards.forEach(card => { if (!card.isConnected) untrackLiveCard(card); });
+    const onScreen = () => [...group.cards].filter(card => card.__edggOnScreen);
+    if (!onScreen().length) return;
+    group.busy = true;
+    group.lookup((data) => {
+      group.busy = false;
+      group.fetchedAt = Date.now();
+      // A failed lookup keeps the last state on screen
+      if (!data) return;
+      group.data = data;
+      onScreen().forEach(card => paintLiveCard(group, card));
+    });
+  }
+
+  // ---- YouTube ----
+
+  /** Link the card opens: the clip, Short, playlist or watch page (keeping list and t=). */
+  function youTubeOpenUrl(m) {
+    if (m.clip) return `https://www.youtube.com/clip/${m.clip}`;
+    if (!m.id) return `https://www.youtube.com/playlist?list=${m.list}`;
+    if (m.short) return `https://www.youtube.com/shorts/${m.id}`;
+    const u = new URL('https://www.youtube.com/watch');
+    u.searchParams.set('v', m.id);
+    if (m.list) u.searchParams.set('list', m.list);
+    if (m.start) u.searchParams.set('t', m.start + 's');
+    return u.href;
+  }
+
+  /** Add or remove a card's play-inline button to follow the `youTubeInline` setting. */
+  function syncYouTubePlayButton(card) {
+    const btn = card.querySelector('.edgg-card-play');
+    if (!STATE.settings.youTubeInline || !card.__edggPlayer) { if (btn) btn.remove(); return; }
+    if (btn) return;
+    const play = document.createElement('button');
+    play.type = 'button';
+    play.className = 'edgg-card-play';
+    play.textContent = '▶ Play here';
+    play.addEventListener('click', (e) => {
+      // The card itself is a link to YouTube
+      e.preventDefault();
+      e.stopPropagation();
+      playYouTubeInline(card);
+    });
+    card.appendChild(play);
+  }
+
+  /**
+   * Swap a YouTube card for a youtube-nocookie player. When the chat's CSP
+   * refuses that frame, retry with the extension's player.html, and if that's
+   * refused too, put the card back and open the player in a pop-out window.
+   */
+  function playYouTubeInline(card) {
+    const p = card.__edggPlayer;
+    const src = p && EDGG.youTubeEmbedUrl(p);
+    if (!src) return;
+    const box = document.createElement('div');
+    box.className = 'edgg-yt-player' + (p.short ? ' edgg-yt-player-short' : '');
+    box.style.width = card.style.width;
+    box.style.maxWidth = card.style.maxWidth;
+    const frame = document.createElement('iframe');
+    frame.className = 'edgg-embed';
+    frame.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+    frame.allowFullscreen = true;
+    frame.referrerPolicy = 'strict-origin-when-cross-origin';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'edgg-yt-player-close';
+    close.textContent = '✕';
+    close.title = 'Close player';
+
+    const sources = [src, api.runtime.getURL('player.html') + '#' + EDGG.youTubePlayerHash(p)];
+    let step = 0;
+    const stop = () => {
+      document.removeEventListener('securitypolicyviolation', onViolation, true);
+      if (box.isConnected) box.replaceWith(card);
+    };
+    const onViolation = (e) => {
+      if (!box.isConnected) { stop(); return; }
+      if (!/^(frame|child|default)-src/.test(e.effectiveDirective || e.violatedDirective || '')) return;
+      // blockedURI is the full URL, its origin, or just the scheme
+      const blocked = String(e.blockedURI || '');
+      const current = frame.getAttribute('src') || '';
+      if (!blocked || !(current.startsWith(blocked) || current.split(':')[0] === blocked)) return;
+      if (++step < sources.length) { frame.src = sources[step]; return; }
+      stop();
+      safeSendMessage({ type: 'openYouTubePlayer', player: p });
+    };
+    close.addEventListener('click', (e) => { e.stopPropagation(); stop(); });
+    document.addEventListener('securitypolicyviolation', onViolation, true);
+    frame.src = sources[0];
+    box.append(frame, close);
+    card.replaceWith(box);
+  }
+
+  /**
+   * Parse the JSON object literal that follows `marker` in a page (e.g.
+   * `var ytInitialPlayerResponse = {...};`). Returns null if absent.
+   */
+  function extractJsonAfter(html, marker) {
+    const at = html.indexOf(marker);
+    const start = at < 0 ? -1 : html.indexOf('{', at + marker.length);
+    if (start < 0) return null;
+    let depth = 0, inStr = false;
+    for (let i = start; i < html.length; i++) {
+      const c = html[i];
+      if (inStr) {
+        if (c === '\\') i++;
+        else if (c === '"') inStr = false;
+      } else if (c === '"') {
+        inStr = true;
+      } else if (c === '{') {
+        depth++;
+      } else if (c === '}' && --depth === 0) {
+        try { return JSON.parse(html.slice(start, i + 1)); } catch (_) { return null; }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Card metadata from a YouTube watch or clip page's player response:
+   * `{ id, title, author, seconds, live, upcoming, premiere, startsAt, clip }`.
+   * Premieres are uploads (not live content) that air on a schedule. A clip
+   * page describes its source video plus `clip: { start, end }` in seconds.
+   */
+  function parseYouTubePage(html) {
+    const player = extractJsonAfter(html, 'ytInitialPlayerResponse') || {};
+    const d = player.videoDetails || {};
+    const micro = (player.microformat && player.microformat.playerMicroformatRenderer) || {};
+    const broadcast = micro.liveBroadcastDetails || {};
+    const clipCfg = (html.match(/"clipConfig"\s*:\s*\{([^}]*)\}/) || [])[1] || '';
+    const clipMs = (key) => parseInt((clipCfg.match(new RegExp(`"${key}"\\s*:\\s*"?(\\d+)`)) || [])[1], 10);
+    const clipStart = clipMs('startTimeMs'), clipEnd = clipMs('endTimeMs');
+    const live = player.videoDetails ? !!(d.isLive || broadcast.isLiveNow) : /"isLiveNow"\s*:\s*true/.test(html);
+    return {
+      id: d.videoId || null,
+      title: d.title || '',
+      author: d.author || micro.ownerChannelName || '',
+      seconds: parseInt(d.lengthSeconds, 10) || 0,
+      live,
+      upcoming: !live && !!d.isUpcoming,
+      premiere: (live || !!d.isUpcoming) && d.isLiveContent === false,
+      startsAt: broadcast.startTimestamp || null,
+      clip: clipEnd > clipStart ? { start: clipStart / 1000, end: clipEnd / 1000 } : null
+    };
+  }
+
+  // ---- Bigscreen ----
+  // Inside the bigscreen's chat iframe, stream and video cards get a "Watch on
+  // bigscreen" button. It asks the parent page (same origin) to switch its
+  // player; the content script there only accepts the request from one of its
+  // own frames and only sets hashes built by EDGG.bigscreenHash.
+  const BIGSCREEN_MESSAGE = 'edgg:bigscreen';
+
+  function isBigscreenPage(win) {
+    try { return win.location.origin === location.origin && win.location.pathname.startsWith('/bigscreen'); } catch (_) { return false; }
+  }
+
+  const IN_BIGSCREEN_CHAT = !!SITE && window.parent !== window && isBigscreenPage(window.parent);
+
+  function addBigscreenButton(card, target) {
+    if (!IN_BIGSCREEN_CHAT || !EDGG.bigscreenHash(target) || card.querySelector('.edgg-card-bigscreen')) return;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'edgg-card-bigscreen';
+    btn.textContent = '⛶ Watch on bigscreen';
+    btn.title = 'Play this on the bigscreen player';
+    btn.addEventListener('click', (e) => {
+      // The card itself is a link to the platform
+      e.preventDefault();
+      e.stopPropagation();
+      try { window.parent.postMessage({ type: BIGSCREEN_MESSAGE, target }, location.origin); } catch (_) {}
+    });
+    card.appendChild(btn);
+  }
+
+  if (!SITE && window.top === window && isBigscreenPage(window)) {
+    window.addEventListener('message', (e) => {
+      const data = e.data;
+      if (e.origin !== location.origin || !data || data.type !== BIGSCREEN_MESSAGE) return;
+      if (![...document.querySelectorAll('iframe')].some(f => f.contentWindow === e.source)) return;
+      const hash = EDGG.bigscreenHash(data.target);
+      if (hash && location.hash !== hash) location.hash = hash;
+    });
+  }
+
+  // ---- Session (login) state ----
+  // The chat's own session endpoint (SITE.sessionEndpoint) is the source of truth: a user object
+  // when signed in, 401/403 for guests. The result is cached and re-checked
+  // when the tab regains focus, when the composer changes (DGG swaps in a
+  // sign-in prompt for guests) and every few minutes while embedding.
+  const SESSION_RECHECK_MS = 5 * 60 * 1000;
+  const session = { loggedIn: null, checkedAt: 0, probing: null };
+
+  /** Cached login state. Unknown (probe pending or failed) counts as logged in. */
+  function isLoggedIn() {
+    if (Date.now() - session.checkedAt > SESSION_RECHECK_MS) probeSession();
+    if (session.loggedIn === null) return sessionFromDom() !== false;
+    return session.loggedIn;
+  }
+
+  /** Login state as shown by the composer: true, false, or null if not rendered yet. */
+  function sessionFromDom() {
+    try {
+      const input = document.querySelector(SITE.composerInput);
+      const frame = document.querySelector(SITE.composer) || (input && input.parentElement);
+      if (!frame) return null;
+      if (frame.querySelector(SITE.loginLink)) return false;
+      if (input) return !input.disabled;
+    } catch (_) {}
+    return null;
+  }
+
+  function probeSession() {
+    if (session.probing) return session.probing;
+    session.checkedAt = Date.now();
+    session.probing = fetch(SITE.sessionEndpoint, { credentials: 'include', cache: 'no-store' })
+      .then(async (resp) => {
+        if (resp.status === 401 || resp.status === 403) return false;
+        if (!resp.ok) return null;
+        const me = await resp.json().catch(() => null);
+        return !!(me && (me.nick || me.username));
+      })
+      .catch(() => null)
+      .then((state) => {
+        session.probing = null;
+        setSessionState(state === null ? sessionFromDom() : state);
+      });
+    return session.probing;
+  }
+
+  function setSessionState(state) {
+    const was = session.loggedIn;
+    session.loggedIn = state;
+    if (state === false || was !== false) return;
+    // Just logged in: embed the lines that were skipped while logged out
+    document.querySelectorAll('[data-edgg-awaiting-login]').forEach(el => {
+      el.removeAttribute('data-edgg-awaiting-login');
+      maybeEmbedInNode(el);
+    });
+  }
+
+  /** Re-probe on login/logout signals instead of per link. */
+  function watchSession() {
+    const recheck = () => { session.checkedAt = 0; probeSession(); };
+    document.addEventListener('visibilitychange', () => { if (!document.hidden) recheck(); });
+    window.addEventListener('focus', recheck);
+    let composerMo = null;
+    const watchComposer = () => {
+      const frame = document.querySelector(SITE.composer);
+      if (!frame || frame.__edggSessionWatched) return;
+      frame.__edggSessionWatched = true;
+      if (composerMo) composerMo.disconnect();
+      composerMo = new MutationObserver(() => {
+        const dom = sessionFromDom();
+        if (dom !== null && dom !== session.loggedIn) recheck();
+      });
+      composerMo.observe(frame, { childList: true, subtree: true, attributes: true, attributeFilter: ['disabled', 'href'] });
+    };
+    watchComposer();
+    // The composer may render after us
+    if (!document.querySelector(SITE.composer)) setTimeout(watchComposer, 2000);
+  }
+
+  // ---- Chatter mutes and flair policy ----
+
+  /** Lowercased author of the chat line containing `el`, or '' if unknown. */
+  function getMessageAuthor(el) {
+    try {
+      const line = el.closest(SITE.line) || el;
+      const name = line.getAttribute(SITE.authorAttr);
+      if (name) return EDGG.normalizeUsername(name);
+      const u = line.querySelector(SITE.author);
+      return u ? EDGG.normalizeUsername(u.textContent) : '';
+    } catch (_) { return ''; }
+  }
+
+  // DGG persists its chat settings, including the ignore list, in localStorage
+  // (SITE.settingsKey / SITE.ignoreSetting). Read at most every few seconds
+  // since this is consulted per message.
+  let dggIgnore = { at: 0, nicks: new Set() };
+  function getDggIgnoreList() {
+    const now = Date.now();
+    if (now - dggIgnore.at < 5000) return dggIgnore.nicks;
+    let nicks = [];
+    try {
+      const raw = JSON.parse(localStorage.getItem(SITE.settingsKey) || 'null');
+      const entries = Array.isArray(raw) ? raw : Object.entries(raw || {});
+      const hit = entries.find(e => Array.isArray(e) && e[0] === SITE.ignoreSetting);
+      if (hit && Array.isArray(hit[1])) nicks = hit[1];
+    } catch (_) {}
+    dggIgnore = { at: now, nicks: new Set(nicks.map(EDGG.normalizeUsername)) };
+    return dggIgnore.nicks;
+  }
+
+  /** Flair ids (`data-flair`) shown next to the author of the line containing `el`. */
+  function getMessageFlairs(el) {
+    try {
+      const line = el.closest(SITE.line) || el;
+      return Array.from(line.querySelectorAll(SITE.flairs))
+        .filter(f => !f.closest('.edgg-wrap'))
+        .map(f => String(f.getAttribute(SITE.flairAttr) || '').toLowerCase())
+        .filter(Boolean);
+    } catch (_) { return []; }
+  }
+
+  /**
+   * Decide whether embeds in this message should be held back. Returns null
+   * to embed normally, or `{ reason, hide }` where `hide` means render nothing
+   * rather than an "embed hidden" stub. Clicking a stub overrides for that
+   * message.
+   */
+  function getEmbedHold(container) {
+    if (!container || container.getAttribute('data-edgg-show-anyway') === '1') return null;
+    const author = getMessageAuthor(container);
+    const hideMuted = STATE.settings.mutedEmbedMode === 'hide';
+    if (author && (STATE.settings.mutedUsers || []).includes(author)) return { reason: 'muted chatter', hide: hideMuted };
+    if (author && STATE.settings.honorDggIgnore && getDggIgnoreList().has(author)) return { reason: 'ignored chatter', hide: hideMuted };
+    if (STATE.settings.flairPolicy === 'trusted') {
+      const trusted = STATE.settings.trustedFlairs || [];
+      if (!getMessageFlairs(container).some(f => trusted.includes(f))) return { reason: 'no trusted flair', hide: false };
     }
     return null;
   }
 
-  /** Extract Twitch channel or VOD id from URL. */
-  function extractTwitch(u) {
-    // twitch.tv/<channel> or twitch.tv/videos/<id>
-    const parts = u.pathname.split("/").filter(Boolean);
-    if (parts[0] === "videos" && parts[1]) return { channel: null, video: parts[1] };
-    if (parts[0]) return { channel: parts[0], video: null };
-    return { channel: null, video: null };
+  /** Add a chatter to the mute list (context menu); the broadcast re-applies it. */
+  function muteUser(author) {
+    const name = EDGG.normalizeUsername(author);
+    const list = STATE.settings.mutedUsers || [];
+    if (!name || list.includes(name)) return;
+    safeSendMessage({ type: "setSettings", settings: { mutedUsers: list.concat(name) } });
+  }
+
+  /**
+   * Collapsed "embed hidden" line in place of a message's embeds. Clicking it
+   * embeds that message's links anyway.
+   */
+  function mountHiddenStub(container, reason) {
+    if (container.querySelector(':scope > .edgg-stub-wrap')) return;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'edgg-hidden-stub';
+    btn.textContent = `Embed hidden (${reason}) · show`;
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      container.setAttribute('data-edgg-show-anyway', '1');
+      wrap.remove();
+      releaseLinks(container);
+      maybeEmbedInNode(container);
+    });
+    const wrap = appendUiWrap(container, 'edgg-stub-wrap', btn);
+    wrap.setAttribute('data-edgg-hold', reason);
   }
 
-  /** Extract Kick channel or video id from URL. */
-  function extractKick(u) {
-    const parts = u.pathname.split('/').filter(Boolean);
-    if (!parts.length) return { channel: null, video: null };
-    if ((parts[0] === 'video' || parts[0] === 'videos') && parts[1]) return { channel: null, video: parts[1] };
-    return { channel: parts[0] || null, video: null };
+  /** Append a small extension UI line (stub, chip) below a message. */
+  function appendUiWrap(container, className, child) {
+    const scroller = getScrollContainer(container);
+    const shouldStick = isElementInView(container, scroller) && (STATE.stickyWanted || isAtBottom(scroller, 2));
+    const wrap = document.createElement('div');
+    wrap.className = 'edgg-wrap edgg-left ' + className;
+    wrap.appendChild(child);
+    safeAppendEmbed(container, wrap, scroller, shouldStick);
+    return wrap;
   }
 
-  /** Try to pull a live stream title from a Kick channel HTML response. */
-  function extractKickLiveTitle(html) {
-    try {
-      if (!html || typeof html !== 'string') return null;
-      // Heuristics: look for is_live true near a title/session_title/name field
-      let m = html.match(/"is_live"\s*:\s*true[\s\S]{0,20000}?"(session_title|title|name)"\s*:\s*"([^"]{1,400})"/i);
-      if (!m) m = html.match(/"(session_title|title|name)"\s*:\s*"([^"]{1,400})"[\s\S]{0,20000}?"is_live"\s*:\s*true/i);
-      if (m && m[2]) return decodeJsonString(m[2]).trim();
-    } catch (_) {}
+  // ---- Duplicate links ----
+  // Canonical media key (EDGG.canonicalMediaKey) -> the message that embedded
+  // it first: { key, container, at, count, reposts, chips }. Entries older
+  // than the dedupe window, or whose message left the DOM, are replaced.
+  const recentEmbeds = new Map();
+
+  /**
+   * Record that `container` links to `key`. Returns the original's entry if
+   * this is a repost within the dedupe window, else registers `container` as
+   * the original (or leaves it be, when re-scanning it) and returns null.
+   */
+  function noteEmbed(key, container) {
+    const windowMs = (Number(STATE.settings.dedupeWindowMin) || 0) * 60000;
+    if (!key || windowMs <= 0 || container.getAttribute('data-edgg-show-anyway') === '1') return null;
+    const now = Date.now();
+    const prev = recentEmbeds.get(key);
+    if (prev && prev.container === container) return null;
+    // Only an original that rendered (or is still loading) absorbs reposts
+    if (prev && now - prev.at < windowMs && isOriginalUsable(prev)) {
+      if (!prev.reposts.has(container)) {
+        prev.reposts.add(container);
+        prev.count++;
+        updateDupChips(prev);
+      }
+      return prev;
+    }
+    for (const [k, e] of recentEmbeds) {
+      if (now - e.at >= windowMs || !e.container.isConnected) recentEmbeds.delete(k);
+    }
+    recentEmbeds.set(key, { key, container, at: now, count: 1, reposts: new WeakSet(), chips: [] });
     return null;
   }
 
-  /** Build a Twitch live preview image URL for a channel. */
-  function getTwitchLivePreviewUrl(channel, w = 640, h = 360) {
-    try {
-      const c = String(channel || '').toLowerCase();
-      if (!c) return '';
-      return `https://static-cdn.jtvnw.net/previews-ttv/live_user_${encodeURIComponent(c)}-${w}x${h}.jpg`;
-    } catch (_) { return ''; }
+  /**
+   * The original message is still in chat and its embed hasn't failed or been
+   * removed. Renderers that inject only once their lookup succeeds get
+   * `DUP_PENDING_MS` to do so.
+   */
+  const DUP_PENDING_MS = 20000;
+  function isOriginalUsable(entry) {
+    if (!entry.container.isConnected) return false;
+    const wrap = originalWrap(entry);
+    if (wrap) return !wrap.hasAttribute('data-edgg-failed');
+    return !entry.failed && Date.now() - entry.at < DUP_PENDING_MS;
   }
-  function buildDdInstagramUrl(u) {
-    try {
-      const url = new URL(u, location.href);
-      url.hostname = url.hostname.replace(/^www\./, '');
-      if (!/instagram\.com$/i.test(url.hostname)) return null;
-      const alt = new URL(u, location.href);
-      alt.hostname = 'ddinstagram.com';
-      // Path is already canonicalized to /p/<id> upstream
-      return alt.href;
-    } catch (_) { return null; }
+
+  function originalWrap(entry) {
+    return entry.container.querySelector(`.edgg-wrap:not(.edgg-dup-wrap)[data-edgg-key="${cssEscape(entry.key)}"]`);
   }
 
-  // Try to extract Instagram caption text from HTML body
-  function extractInstagramCaption(html) {
-    try {
-      if (!html || typeof html !== 'string') return '';
-      const tryRe = (re) => { const m = html.match(re); return (m && m[1]) ? decodeJsonString(m[1]) : ''; };
-      // Common shapes
-      let cap = tryRe(/\"edge_media_to_caption\"\s*:\s*\{\s*\"edges\"\s*:\s*\[\s*\{\s*\"node\"\s*:\s*\{\s*\"text\"\s*:\s*\"([^\"]{1,2000})\"/);
-      if (cap) return cap;
-      cap = tryRe(/\"caption\"\s*:\s*\"([^\"]{1,2000})\"/);
-      if (cap) return cap;
-      cap = tryRe(/\"caption\"\s*:\s*\{\s*\"text\"\s*:\s*\"([^\"]{1,2000})\"/);
-      if (cap) return cap;
-      cap = tryRe(/\"accessibility_caption\"\s*:\s*\"([^\"]{1,2000})\"/);
-      if (cap) return cap;
-      // Fallback to meta descriptions (may include more text)
-      const doc = new DOMParser().parseFromString(html, 'text/html');
-      const meta = (sel) => { const n = doc.querySelector(sel); return n ? (n.getAttribute('content') || '').trim() : ''; };
-      cap = meta('meta[name="description"]') || meta('meta[property="og:description"]') || '';
-      return cap;
-    } catch (_) { return ''; }
+  /**
+   * Flag an embed whose lookup failed so reposts of the link embed in full:
+   * its wrap when `el` was already injected, else the pending dedupe entry.
+   */
+  function markEmbedFailed(ctx, el) {
+    const wrap = el && el.closest('.edgg-wrap');
+    if (wrap) wrap.setAttribute('data-edgg-failed', '1');
+    const entry = ctx && recentEmbeds.get(ctx.mediaKey);
+    if (entry && entry.container === ctx.container) entry.failed = true;
   }
 
-  // Hosts that commonly get blocked by the page CSP; fetch to blob: instead of direct loading
-  function isCspBlockedHost(hostname) {
-    try {
-      const h = String(hostname || '').toLowerCase();
-      return /(^|\.)files\.catbox\.moe$/.test(h) || /(^|\.)video\.twimg\.com$/.test(h) || /(^|\.)v\.redd\.it$/.test(h) || /cdninstagram\.com$/.test(h);
-    } catch (_) { return false; }
+  function updateDupChips(entry) {
+    entry.chips = entry.chips.filter(c => c.isConnected);
+    entry.chips.forEach(c => { c.textContent = `↑ already embedded (posted ${entry.count}×)`; });
   }
 
   /**
-   * Periodically refresh a Twitch live preview thumbnail so it stays up-to-date
-   * while the channel is live. Stops automatically if the image is detached.
+   * Compact "already embedded" line for a repost. Clicking it scrolls to the
+   * original embed, or embeds here if the original is no longer in chat.
    */
-  function startTwitchThumbAutoRefresh(imgEl, channel, periodMs = 60000, scopeEl = null) {
-    try {
-      if (!imgEl || !channel) return;
-      // Clear any prior timer bound to this element
-      if (imgEl.__edggTwTimer) { try { clearInterval(imgEl.__edggTwTimer); } catch (_) {} }
+  function mountDupChip(a, container, entry, providerId, linkKey) {
+    if (container.querySelector(`:scope > .edgg-dup-wrap[data-edgg-key="${cssEscape(entry.key)}"]`)) return;
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'edgg-dup-chip';
+    chip.title = 'Jump to the first embed of this link';
+    chip.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const orig = entry.container.isConnected ? originalWrap(entry) : null;
+      if (orig && !orig.hasAttribute('data-edgg-failed')) {
+        orig.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        orig.classList.remove('edgg-dup-target');
+        void orig.offsetWidth; // restart the highlight animation
+        orig.classList.add('edgg-dup-target');
+        return;
+      }
+      // Original was pruned from chat: promote this message to the original
+      wrap.remove();
+      if (recentEmbeds.get(entry.key) === entry) recentEmbeds.delete(entry.key);
+      releaseLinks(container, entry.key);
+      tryEmbed(a, container);
+    });
+    const wrap = appendUiWrap(container, 'edgg-dup-wrap', chip);
+    wrap.setAttribute('data-edgg-key', entry.key);
+    // Removed with the provider's embeds when it's switched off
+    wrap.setAttribute('data-edgg-provider', providerId);
+    wrap.setAttribute('data-edgg-link', linkKey);
+    entry.chips.push(chip);
+    updateDupChips(entry);
+  }
 
-      const update = () => {
-        try {
-          if (!imgEl.isConnected) { clearInterval(imgEl.__edggTwTimer); imgEl.__edggTwTimer = null; return; }
-          const wrap = scopeEl || imgEl.closest('.edgg-wrap') || imgEl.parentElement;
-          const scroller = getScrollContainer(wrap || imgEl);
-          if (wrap && scroller && !isElementInView(wrap, scroller)) return; // skip when off-screen
-          const base = getTwitchLivePreviewUrl(channel, 640, 360);
-          if (!base) return;
-          imgEl.src = base + `?t=${Date.now()}`;
-        } catch (_) {}
-      };
-      // Kick immediately, then schedule
-      update();
-      imgEl.__edggTwTimer = setInterval(update, Math.max(15000, periodMs | 0));
+  /**
+   * Bring already-rendered chat lines in line with the current mute and flair
+   * settings: drop embeds that are now held back and restore released ones.
+   */
+  function applyEmbedHoldsToRendered() {
+    try {
+      document.querySelectorAll(SITE.line).forEach(line => {
+        const hold = getEmbedHold(line);
+        const embeds = line.querySelectorAll('.edgg-wrap');
+        const stub = line.querySelector('.edgg-stub-wrap');
+        const current = line.hasAttribute('data-edgg-held') ? 'hidden'
+          : stub ? 'stub:' + stub.getAttribute('data-edgg-hold')
+          : embeds.length ? 'embedded' : null;
+        const wanted = !hold ? 'embedded' : hold.hide ? 'hidden' : 'stub:' + hold.reason;
+        // Skip lines without embeddable links and lines already in the right state
+        if (!current || current === wanted) return;
+        embeds.forEach(w => w.remove());
+        line.removeAttribute('data-edgg-held');
+        releaseLinks(line);
+        maybeEmbedInNode(line);
+      });
     } catch (_) {}
   }
 
-  /** Generic periodic refresh for a thumbnail image using a base URL. */
-  function startThumbAutoRefresh(imgEl, baseUrl, periodMs = 60000, scopeEl = null) {
+  /**
+   * Re-evaluate embeds already in chat after a settings change: drop those of
+   * providers that were switched off, embed links that a newly enabled
+   * provider or host list now matches, and add or remove blur covers.
+   */
+  function applySettingsToRendered(prev) {
+    const changed = (k) => JSON.stringify(prev[k]) !== JSON.stringify(STATE.settings[k]);
     try {
-      if (!imgEl || !baseUrl) return;
-      if (imgEl.__edggThumbTimer) { try { clearInterval(imgEl.__edggThumbTimer); } catch (_) {} }
-      const update = () => {
-        try {
-          if (!imgEl.isConnected) { clearInterval(imgEl.__edggThumbTimer); imgEl.__edggThumbTimer = null; return; }
-          const wrap = scopeEl || imgEl.closest('.edgg-wrap') || imgEl.parentElement;
-          const scroller = getScrollContainer(wrap || imgEl);
-          if (wrap && scroller && !isElementInView(wrap, scroller)) return; // skip when off-screen
-          imgEl.src = baseUrl + (baseUrl.includes('?') ? '&' : '?') + 't=' + Date.now();
-        } catch (_) {}
-      };
-      update();
-      imgEl.__edggThumbTimer = setInterval(update, Math.max(15000, periodMs | 0));
+      const providersChanged = EDGG.PROVIDERS.some(p => p.setting && changed(p.setting));
+      if (providersChanged || changed('customMediaHosts') || changed('blockedMediaHosts')) {
+        document.querySelectorAll('.edgg-wrap[data-edgg-provider]').forEach(wrap => {
+          const line = wrap.closest(SITE.line);
+          const key = wrap.getAttribute('data-edgg-link');
+          if (isProviderEnabled(wrap.getAttribute('data-edgg-provider')) && isLinkStillEmbeddable(line, key)) return;
+          // The mutation observer frees its resources (releaseEmbedsIn)
+          wrap.remove();
+          if (line && key) releaseLinks(line, key);
+        });
+        // Claimed links are skipped, so this only picks up newly matching ones,
+        // and only on lines near the viewport
+        document.querySelectorAll(SITE.line).forEach(embedWhenVisible);
+      }
+      if (changed('blurMedia')) applyBlurToRendered();
+      if (changed('youTubeInline')) document.querySelectorAll('.edgg-card-yt').forEach(syncYouTubePlayButton);
     } catch (_) {}
   }
 
-  /** Heuristic to determine if a YouTube watch page is live. */
-  function isYouTubeLive(html) {
+  /**
+   * Re-match the claimed anchor behind an embed against the current settings.
+   * False once its host is blocked or has left the media allowlist.
+   */
+  function isLinkStillEmbeddable(line, key) {
+    if (!line || !key) return true;
+    const a = line.querySelector(`a[data-edgg-link="${cssEscape(key)}"]`);
+    if (!a) return true;
     try {
-      if (!html || typeof html !== 'string') return false;
-      if (/"isLiveContent"\s*:\s*true/i.test(html)) return true;
-      if (/itemprop=\"isLiveBroadcast\"[^>]*content=\"(True|true)\"/i.test(html)) return true;
-      if (/"isLiveNow"\s*:\s*true/i.test(html)) return true;
-    } catch (_) {}
-    return false;
+      const url = new URL(a.href, location.href);
+      const linkText = (a.textContent || '').trim();
+      return !!EDGG.matchProvider(url, { linkText }, STATE.settings);
+    } catch (_) { return true; }
+  }
+
+  function isProviderEnabled(id) {
+    const provider = EDGG.PROVIDERS.find(p => p.id === id);
+    return !provider || !provider.setting || !!STATE.settings[provider.setting];
+  }
+
+  /**
+   * Follow `blurMedia` on embeds already in chat. Covers the user already
+   * clicked through stay revealed, and blur forced by a sensitivity rule stays.
+   */
+  function applyBlurToRendered() {
+    document.querySelectorAll('.edgg-wrap[data-edgg-provider]').forEach(wrap => {
+      try {
+        const sens = sensitivityFromWrap(wrap);
+        if (!STATE.settings.blurMedia && !isBlurSensitivity(sens)) { removeSpoilers(wrap); return; }
+        // Direct media embeds carry the cover on the wrap itself (see injectBelow)
+        if (wrap.querySelector(':scope > .edgg-media, :scope > .edgg-media-link > .edgg-media')) applySpoilerIfNeeded(wrap, sens, true);
+        else applySpoilersInRoot(wrap, sens, true);
+      } catch (_) {}
+    });
+  }
+
+  /** Undo unrevealed spoiler covers under `wrap` (blur switched off). */
+  function removeSpoilers(wrap) {
+    const spoilers = [wrap, ...wrap.querySelectorAll('.edgg-spoiler')]
+      .filter(s => s.classList.contains('edgg-spoiler') && !s.classList.contains('edgg-spoiler-revealed'));
+    spoilers.forEach(s => {
+      s.querySelectorAll('.edgg-spoiler-cover').forEach(c => c.remove());
+      s.querySelectorAll('.edgg-spoiler-blur').forEach(m => m.classList.remove('edgg-spoiler-blur'));
+      if (s === wrap || s.classList.contains('edgg-wrap')) { s.classList.remove('edgg-spoiler'); return; }
+      // Per-media holder: put the media back, keeping the pager's visibility
+      const m = s.firstElementChild;
+      if (m) m.style.display = s.style.display;
+      s.replaceWith(...s.childNodes);
+    });
   }
 
   // Read DGG chat settings that affect embedding of NSFW/NSFL content
   function isHideNsflEnabled() {
-    try { const el = document.querySelector('input[name="hidensfl"]'); return !!(el && el.checked); } catch (_) { return false; }
+    try { const el = document.querySelector(SITE.hideNsfl); return !!(el && el.checked); } catch (_) { return false; }
   }
   function isHideNsfwEnabled() {
-    try { const el = document.querySelector('input[name="hidensfw"]'); return !!(el && el.checked); } catch (_) { return false; }
+    try { const el = document.querySelector(SITE.hideNsfw); return !!(el && el.checked); } catch (_) { return false; }
   }
   function getShowRemovedSetting() {
-    try { const sel = document.getElementById('showremoved'); return sel ? String(sel.value) : ''; } catch (_) { return ''; }
-  }
-
-  /**
-   * Try to pull the live stream title from a Twitch channel HTML response.
-   * This uses heuristics to find a nearby "isLive":true and a "title":"...".
-   * Returns a decoded string if found; otherwise null.
-   */
-  function extractTwitchLiveTitle(html) {
-    try {
-      if (!html || typeof html !== 'string') return null;
-      // Look for a window where isLive:true appears near a title field
-      let m = html.match(/\"isLive\"\s*:\s*true[\s\S]{0,20000}?\"title\"\s*:\s*\"([^\"]{1,400})\"/i);
-      if (!m) {
-        // Reverse order: title appears before isLive:true
-        const m2 = html.match(/\"title\"\s*:\s*\"([^\"]{1,400})\"[\s\S]{0,20000}?\"isLive\"\s*:\s*true/i);
-        if (m2) m = m2;
-      }
-      if (!m) m = html.match(/\"isLiveBroadcast\"\s*:\s*true[\s\S]{0,20000}?\"name\"\s*:\s*\"([^\"]{1,400})\"/i);
-      if (!m) m = html.match(/\"broadcastSettings\"\s*:\s*\{[\s\S]*?\"title\"\s*:\s*\"([^\"]{1,400})\"[\s\S]{0,20000}?\}/i);
-      if (!m) m = html.match(/\"streamTitle\"\s*:\s*\"([^\"]{1,400})\"[\s\S]{0,20000}?\"isLive\"\s*:\s*true/i);
-      if (m && m[1]) {
-        return decodeJsonString(m[1]).trim();
-      }
-    } catch (_) {}
-    return null;
+    try { const sel = document.querySelector(SITE.showRemoved); return sel ? String(sel.value) : ''; } catch (_) { return ''; }
   }
 
   /** Decode common JSON string escapes (\\uXXXX, \\" and \\\\). */
@@ -1712,30 +2717,6 @@
     }
   }
 
-  /**
-   * Extract a Twitch channel from a DGG bigscreen link hash or from link text
-   * formatted like "#twitchxqc" or "#twitch/xqc".
-   */
-  function extractDggBigscreenTwitch(u, linkText) {
-    try {
-      // Only consider bigscreen links for hash parsing
-      const isDgg = /(\.|^)destiny\.gg$/i.test(u.hostname) && u.pathname.startsWith('/bigscreen');
-      if (isDgg && typeof u.hash === 'string' && u.hash) {
-        // Require the slash form: #twitch/<channel>
-        const m = u.hash.match(/^#twitch\/([a-z0-9_]+)/i);
-        if (m && m[1]) return m[1];
-      }
-    } catch (_) {}
-    try {
-      const t = (linkText || '').trim();
-      if (!t) return null;
-      // Accept only the slash form: #twitch/<channel>
-      const m2 = t.match(/^#twitch\/([a-z0-9_]+)$/i);
-      if (m2 && m2[1]) return m2[1];
-    } catch (_) {}
-    return null;
-  }
-
   /** Minimal attribute‑safe escape for selector usage. */
   function cssEscape(s) {
     return s.replace(/"/g, '\\"');
@@ -1826,26 +2807,57 @@
     });
   }
   
-  // Detect NSFW/NSFL flag from the message element
   /**
-   * Derive a sensitivity label (NSFW/NSFL) from the message text. Used to
-   * force a spoiler overlay and to customize its label.
+   * Match the message text against the user's sensitivity rules (NSFL/NSFW
+   * by default). Returns `{ label, overlay, behavior }` or null; the result
+   * forces a spoiler overlay ('blur'), skips the embed ('hide') or starts
+   * videos muted ('mute').
    */
-  function getSensitivityLabel(container) {
+  function getSensitivity(container) {
     try {
-      const text = (container && (container.innerText || container.textContent)) ? String(container.innerText || container.textContent).toLowerCase() : '';
-      if (/\bnsfl\b/.test(text)) return 'NSFL';
-      if (/\bnsfw\b/.test(text)) return 'NSFW';
+      // Just the message body, so a username can't trip a rule
+      const el = container.querySelector(SITE.text) || container;
+      const text = String(el.innerText || el.textContent || '');
+      return EDGG.matchSensitivityRule(text, STATE.settings.sensitivityRules);
     } catch (_) {}
     return null;
   }
 
+  /** Sensitivity recorded on an embed wrapper by injectBelow, or null. */
+  function sensitivityFromWrap(wrap) {
+    const label = wrap && wrap.getAttribute('data-edgg-sensitivity');
+    if (!label) return null;
+    return {
+      label,
+      overlay: wrap.getAttribute('data-edgg-overlay') || '',
+      behavior: wrap.getAttribute('data-edgg-behavior') || 'blur'
+    };
+  }
+
+  const isBlurSensitivity = (s) => !!s && s.behavior === 'blur';
+
+  /** Overlay text: the rule's own text, else "LABEL - Click to reveal". */
+  function spoilerText(sensitivity) {
+    if (sensitivity && sensitivity.overlay) return sensitivity.overlay;
+    return (sensitivity && sensitivity.label ? sensitivity.label.toUpperCase() + ' - ' : '') + 'Click to reveal';
+  }
+
+  /** 'mute' rules: videos start muted (the user can still unmute). */
+  function muteVideosIfNeeded(root, sensitivity) {
+    if (!sensitivity || sensitivity.behavior !== 'mute' || !root || !root.querySelectorAll) return;
+    root.querySelectorAll('video').forEach(v => {
+      v.muted = true;
+      v.defaultMuted = true;
+    });
+  }
+
   /**
    * Add a spoiler overlay on top of a single media element wrapper. When
    * `force` is true we show the overlay even if blur is disabled globally.
    */
-  function applySpoilerIfNeeded(wrap, label, force = false) {
+  function applySpoilerIfNeeded(wrap, sensitivity, force = false) {
     if (!wrap || !(wrap instanceof HTMLElement)) return;
+    muteVideosIfNeeded(wrap, sensitivity);
     // Blur direct image/video/iframe content
     const media = wrap.querySelector('img, video, iframe');
     if (!media) return;
@@ -1871,8 +2883,7 @@
     icon.setAttribute('aria-hidden', 'true');
     icon.textContent = '👁️';
     txt.appendChild(icon);
-    const prefix = (typeof label === 'string' && label) ? (label.toUpperCase() + ' - ') : '';
-    txt.appendChild(document.createTextNode(prefix + 'Click to reveal'));
+    txt.appendChild(document.createTextNode(spoilerText(sensitivity)));
     cover.appendChild(txt);
     cover.title = 'Sensitive media — click to reveal';
     wrap.appendChild(cover);
@@ -1889,20 +2900,21 @@
   }
 
   /** Apply spoiler overlays for all media nodes found under a root element. */
-  function applySpoilersInRoot(root, label, force = false) {
+  function applySpoilersInRoot(root, sensitivity, force = false) {
+    muteVideosIfNeeded(root, sensitivity);
     if (!STATE.settings.blurMedia && !force) return;
     if (!root || !root.querySelectorAll) return;
     const nodes = root.querySelectorAll('img.edgg-media, video.edgg-media, iframe.edgg-media');
     nodes.forEach((m) => {
       if (!(m instanceof HTMLElement)) return;
       // If already within an edgg-spoiler wrapper, skip
-      if (m.closest('.edgg-spoiler-revealed') || m.closest('.edgg-spoiler-cover')) return;
+      if (m.closest('.edgg-spoiler, .edgg-spoiler-revealed, .edgg-spoiler-cover')) return;
       let parent = m.parentElement;
       if (!parent) return;
 
       // If the immediate parent is a single-media container (like our wrap), use overlay approach
       if (parent.classList && parent.classList.contains('edgg-wrap')) {
-        applySpoilerIfNeeded(parent, label, force);
+        applySpoilerIfNeeded(parent, sensitivity, force);
         return;
       }
 
@@ -1910,6 +2922,9 @@
       const holder = document.createElement('div');
       holder.className = 'edgg-spoiler';
       holder.style.position = 'relative';
+      // Already paged (blur turned on later): the pager now shows/hides the holder
+      holder.style.display = m.style.display;
+      m.style.display = '';
       parent.insertBefore(holder, m);
       holder.appendChild(m);
       m.classList.add('edgg-spoiler-blur');
@@ -1926,8 +2941,7 @@
       icon.setAttribute('aria-hidden', 'true');
       icon.textContent = '👁️';
       txt.appendChild(icon);
-      const prefix = (typeof label === 'string' && label) ? (label.toUpperCase() + ' - ') : '';
-      txt.appendChild(document.createTextNode(prefix + 'Click to reveal'));
+      txt.appendChild(document.createTextNode(spoilerText(sensitivity)));
       cover.appendChild(txt);
       cover.title = 'Sensitive media — click to reveal';
       holder.appendChild(cover);
@@ -1980,6 +2994,9 @@
     
     // Handle maintaining scroll position as embed content loads
     maintainStickyAfterAppend(scroller, shouldStick, wrap);
+
+    // Unload when scrolled far away, rehydrate when back near view
+    trackEmbed(wrap, scroller);
   }
   
   /**
@@ -2057,9 +3074,11 @@
   }
 
   /**
-   * Convert a video source to a blob: URL if the page CSP would block direct
-   * cross‑origin playback (e.g., files.catbox.moe). We fetch the binary and
-   * swap the src so the browser plays from a blob: URL (allowed by CSP).
+   * Play a video the page CSP would block cross‑origin (e.g., files.catbox.moe)
+   * from a blob: URL instead. Nothing is downloaded until the video is
+   * visible or the user presses play; then it's streamed in Range chunks
+   * (see streamVideo), capped by the `maxVideoMB` setting. Videos with a
+   * `data-edgg-dash` manifest are played from their DASH tracks instead.
    */
   function prepareVideoForCsp(videoEl, originUrl) {
     if (!videoEl || videoEl.__edggCspReady) return;
@@ -2068,39 +3087,569 @@
     const datasetUrl = (videoEl && videoEl.dataset && videoEl.dataset.edggSrc) ? videoEl.dataset.edggSrc : null;
     const url = originUrl || datasetUrl || getVideoOriginalUrl(videoEl);
     if (!url || url.startsWith('blob:')) return;
-
-    const toBlob = async () => {
-      try {
-        const resp = await fetch(url, { credentials: 'omit', cache: 'no-store', mode: 'cors' });
-        if (!resp.ok) return;
-        const blob = await resp.blob();
-        const objUrl = URL.createObjectURL(blob);
-        // Remove <source> children and set direct src
-        try { while (videoEl.firstChild) videoEl.removeChild(videoEl.firstChild); } catch (_) {}
-        videoEl.src = objUrl;
-        videoEl.setAttribute('data-edgg-blob-src', objUrl);
-        // No autoplay; user clicks play as before
-        videoEl.load();
-      } catch (_) { /* ignore */ }
+    // Remember the real URL so an unloaded video can be rehydrated
+    videoEl.dataset.edggSrc = url;
+    // Bumped by releaseVideo so a download finishing after unload is dropped
+    const gen = videoEl.__edggCspGen = (videoEl.__edggCspGen || 0) + 1;
+    // DASH manifest (Reddit): video + audio tracks; `url` is the silent fallback
+    const dash = videoEl.dataset.edggDash;
+    let queued = false;
+    const queue = () => {
+      if (queued) return;
+      queued = true;
+      startWhenWanted(videoEl, () => (dash ? streamDashVideo(videoEl, dash, url, gen) : streamVideo(videoEl, url, gen)));
     };
 
-    // Fallback on error
+    // Fallback on error: direct playback was refused
     const onErr = () => {
       videoEl.removeEventListener('error', onErr);
-      toBlob();
+      queue();
     };
+    if (videoEl.__edggCspOnErr) videoEl.removeEventListener('error', videoEl.__edggCspOnErr);
+    videoEl.__edggCspOnErr = onErr;
     videoEl.addEventListener('error', onErr, { once: true });
 
-    // Preemptively blob-ify for commonly blocked hosts
+    // Commonly blocked hosts never play directly; don't wait for the error.
+    // Until they start, show the provider's poster or the file's first frame.
     try {
-      const h = new URL(url, location.href).hostname.replace(/^www\./, '').toLowerCase();
-      if (/^(files\.catbox\.moe|video\.twimg\.com|v\.redd\.it|.*\.cdninstagram\.com)$/i.test(h)) {
-        // kick off without waiting for error
-        toBlob();
+      if (dash || isCspBlockedHost(new URL(url, location.href).hostname)) {
+        if (!videoEl.poster) showPosterFrame(videoEl, url, gen);
+        queue();
       }
     } catch (_) {}
   }
 
+  // ---- Streaming blob: playback ----
+  const VIDEO_CHUNK_BYTES = 2 * 1024 * 1024;
+  const VIDEO_BUFFER_AHEAD_S = 60; // MediaSource path: stay this far ahead of playback
+  let videoVisibilityIO = null;
+
+  /**
+   * Poster for a video that can't load directly: decode the first frame from
+   * a small leading range of the file. Files whose index sits at the end
+   * (non-faststart MP4) yield nothing and keep the plain box.
+   */
+  const POSTER_PROBE_BYTES = 512 * 1024;
+  async function showPosterFrame(v, url, gen) {
+    const ctrl = new AbortController();
+    let blobUrl = null;
+    try {
+      let resp;
+      try {
+        resp = await fetchVideoRange(url, 0, POSTER_PROBE_BYTES - 1, ctrl.signal);
+      } catch (_) {
+        resp = await fetch(url, { credentials: 'omit', cache: 'no-store', mode: 'cors', signal: ctrl.signal });
+        if (!resp.ok) return;
+      }
+      // A server ignoring Range sends the whole file: read only the head
+      const reader = resp.body.getReader();
+      const parts = [];
+      let got = 0;
+      while (got < POSTER_PROBE_BYTES) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        got += value.byteLength;
+      }
+      ctrl.abort();
+      if (v.__edggCspGen !== gen || v.poster) return;
+      const head = new Uint8Array(await new Blob(parts).arrayBuffer());
+      blobUrl = URL.createObjectURL(new Blob(parts, { type: head[0] === 0x1a ? 'video/webm' : 'video/mp4' }));
+      const probe = document.createElement('video');
+      probe.muted = true;
+      probe.preload = 'auto';
+      const frame = await new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(null), 10000);
+        probe.addEventListener('loadeddata', () => { probe.currentTime = 0.01; }, { once: true });
+        probe.addEventListener('seeked', () => { clearTimeout(timer); resolve(probe); }, { once: true });
+        probe.addEventListener('error', () => { clearTimeout(timer); resolve(null); }, { once: true });
+        probe.src = blobUrl;
+      });
+      if (!frame || !frame.videoWidth || v.__edggCspGen !== gen || v.poster) return;
+      const canvas = document.createElement('canvas');
+      canvas.width = frame.videoWidth;
+      canvas.height = frame.videoHeight;
+      canvas.getContext('2d').drawImage(frame, 0, 0);
+      v.poster = canvas.toDataURL('image/jpeg', 0.8);
+    } catch (_) {
+      try { ctrl.abort(); } catch (_) {}
+    } finally {
+      if (blobUrl) URL.revokeObjectURL(blobUrl);
+    }
+  }
+
+  /** Run `start` once, when the video is at least partly on screen or played. */
+  function startWhenWanted(v, start) {
+    let started = false;
+    const go = () => {
+      if (started) return;
+      started = true;
+      v.removeEventListener('play', go);
+      if (videoVisibilityIO) videoVisibilityIO.unobserve(v);
+      v.__edggOnVisible = null;
+      start();
+    };
+    v.__edggOnVisible = go;
+    v.addEventListener('play', go);
+    if (typeof IntersectionObserver !== 'function') { go(); return; }
+    if (!videoVisibilityIO) {
+      videoVisibilityIO = new IntersectionObserver((entries) => {
+        for (const e of entries) if (e.isIntersecting && e.target.__edggOnVisible) e.target.__edggOnVisible();
+      }, { threshold: 0.25 });
+    }
+    videoVisibilityIO.observe(v);
+  }
+
+  const formatMB = (bytes) => (bytes / 1048576).toFixed(bytes < 10 * 1048576 ? 1 : 0) + ' MB';
+
+  /**
+   * Status line under a streaming video (progress, size gate, errors). It
+   * follows the video's visibility in the media pager.
+   */
+  function setVideoGate(v, text, onClick) {
+    let gate = v.__edggGate;
+    if (!text) {
+      if (gate) gate.remove();
+      v.__edggGate = null;
+      return;
+    }
+    if (!gate) {
+      gate = document.createElement('div');
+      gate.className = 'edgg-video-gate';
+      v.__edggGate = gate;
+    }
+    const anchor = v.closest('.edgg-spoiler:not(.edgg-wrap)') || v;
+    if (gate.previousSibling !== anchor && anchor.parentNode) anchor.parentNode.insertBefore(gate, anchor.nextSibling);
+    gate.textContent = text;
+    gate.classList.toggle('edgg-video-gate--action', !!onClick);
+    gate.onclick = onClick ? (e) => { e.preventDefault(); e.stopPropagation(); onClick(); } : null;
+  }
+
+  async function fetchVideoRange(url, from, to, signal) {
+    const resp = await fetch(url, {
+      credentials: 'omit', cache: 'no-store', mode: 'cors', signal,
+      headers: { Range: `bytes=${from}-${to}` }
+    });
+    if (!resp.ok) throw new Error('http_' + resp.status);
+    return resp;
+  }
+
+  /**
+   * Container/codec sniffing for MediaSource: only fragmented MP4 (H.264) and
+   * VP8/VP9 WebM can be appended as they download. Returns a MIME type with
+   * codecs, or null to fall back to a plain blob.
+   */
+  function sniffStreamableMime(bytes) {
+    const ascii = (() => { let s = ''; for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i]); return s; })();
+    if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+      const video = ascii.includes('V_VP9') ? 'vp9' : ascii.includes('V_VP8') ? 'vp8' : null;
+      if (!video) return null;
+      const audio = ascii.includes('A_OPUS') ? ',opus' : ascii.includes('A_VORBIS') ? ',vorbis' : '';
+      return `video/webm; codecs="${video}${audio}"`;
+    }
+    if (ascii.slice(4, 8) !== 'ftyp' || !ascii.includes('moov') || !ascii.includes('mvex')) return null;
+    const avcC = ascii.indexOf('avcC');
+    if (avcC < 0 || avcC + 8 > bytes.length) return null;
+    const hex = (n) => n.toString(16).padStart(2, '0');
+    const video = 'avc1.' + hex(bytes[avcC + 5]) + hex(bytes[avcC + 6]) + hex(bytes[avcC + 7]);
+    return `video/mp4; codecs="${video}${ascii.includes('mp4a') ? ',mp4a.40.2' : ''}"`;
+  }
+
+  function attachVideoBlob(v, parts, type) {
+    const objUrl = URL.createObjectURL(new Blob(parts, type ? { type } : undefined));
+    // Remove <source> children and set direct src
+    try { while (v.firstChild) v.removeChild(v.firstChild); } catch (_) {}
+    v.src = objUrl;
+    v.setAttribute('data-edgg-blob-src', objUrl);
+    // No autoplay; user clicks play as before
+    v.load();
+    setVideoGate(v, null);
+  }
+
+  /** Resolve once the video has less than VIDEO_BUFFER_AHEAD_S buffered ahead. */
+  function waitForBufferRoom(v) {
+    const ahead = () => {
+      try { const b = v.buffered; return b.length ? b.end(b.length - 1) - v.currentTime : 0; } catch (_) { return 0; }
+    };
+    if (ahead() < VIDEO_BUFFER_AHEAD_S) return Promise.resolve();
+    return new Promise((resolve) => {
+      const check = () => {
+        if (ahead() >= VIDEO_BUFFER_AHEAD_S && v.isConnected) return;
+        v.removeEventListener('timeupdate', check);
+        v.removeEventListener('emptied', check);
+        resolve();
+      };
+      v.addEventListener('timeupdate', check);
+      v.addEventListener('emptied', check);
+    });
+  }
+
+  /**
+   * Download a CSP-blocked video in Range chunks. Videos over `maxVideoMB`
+   * wait behind a "click to load" gate. Streamable containers play through
+   * MediaSource while later chunks arrive; anything else is assembled into a
+   * blob once complete. Servers without Range support are read as a stream.
+   * Stops as soon as the video is unloaded (generation `gen` goes stale).
+   */
+  async function streamVideo(v, url, gen) {
+    const alive = () => v.__edggCspGen === gen && v.isConnected;
+    const overCap = (bytes) => videoOverCap(v, bytes);
+    const askToLoad = (bytes) => gateLargeVideo(v, bytes, () => streamVideo(v, url, gen));
+    const ctrl = new AbortController();
+    v.__edggStreamAbort = ctrl;
+    setVideoGate(v, 'Loading video…');
+    try {
+      let resp;
+      try {
+        resp = await fetchVideoRange(url, 0, VIDEO_CHUNK_BYTES - 1, ctrl.signal);
+      } catch (e) {
+        if (ctrl.signal.aborted) throw e;
+        // Range refused (e.g., CORS preflight): plain request
+        resp = await fetch(url, { credentials: 'omit', cache: 'no-store', mode: 'cors', signal: ctrl.signal });
+        if (!resp.ok) throw new Error('http_' + resp.status);
+      }
+      if (!alive()) return;
+
+      if (resp.status !== 206) {
+        // Whole file in one response: read incrementally so the cap still applies
+        const total = Number(resp.headers.get('content-length')) || 0;
+        if (overCap(total)) { ctrl.abort(); askToLoad(total); return; }
+        const reader = resp.body.getReader();
+        const parts = [];
+        let got = 0;
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          if (!alive()) { ctrl.abort(); return; }
+          parts.push(value);
+          got += value.byteLength;
+          if (overCap(got)) { ctrl.abort(); askToLoad(total || got); return; }
+          setVideoGate(v, total ? `Loading video… ${Math.round(got / total * 100)}%` : `Loading video… ${formatMB(got)}`);
+        }
+        attachVideoBlob(v, parts, resp.headers.get('content-type'));
+        return;
+      }
+
+      // 0 when Content-Range gives no total ("bytes 0-x/*" or hidden by CORS)
+      const total = contentRangeTotal(resp);
+      if (overCap(total)) { ctrl.abort(); askToLoad(total); return; }
+      const first = new Uint8Array(await resp.arrayBuffer());
+      const type = resp.headers.get('content-type');
+      const nextChunk = async (offset) => {
+        const end = total ? Math.min(offset + VIDEO_CHUNK_BYTES, total) : offset + VIDEO_CHUNK_BYTES;
+        let r;
+        try {
+          r = await fetchVideoRange(url, offset, end - 1, ctrl.signal);
+        } catch (e) {
+          // Unknown size: a range past the end means the file is done
+          if (!total && e.message === 'http_416') return new Uint8Array(0);
+          throw e;
+        }
+        if (r.status !== 206) throw new Error('no_range');
+        return new Uint8Array(await r.arrayBuffer());
+      };
+
+      const mime = total > first.byteLength ? sniffStreamableMime(first) : null;
+      if (mime && typeof MediaSource === 'function' && MediaSource.isTypeSupported(mime)) {
+        await playViaMediaSource(v, first, total, mime, nextChunk, alive);
+        return;
+      }
+
+      // Non-streamable files (regular MP4 keeps its index in one box) only
+      // play once complete, so they're collected into a blob. Without a total,
+      // ranges are requested until one comes back short or empty.
+      const parts = [first];
+      let offset = first.byteLength;
+      let more = total ? offset < total : first.byteLength >= VIDEO_CHUNK_BYTES;
+      while (more) {
+        if (!alive()) { ctrl.abort(); return; }
+        if (!total && overCap(offset)) { ctrl.abort(); askToLoad(offset); return; }
+        setVideoGate(v, total ? `Loading video… ${Math.round(offset / total * 100)}%` : `Loading video… ${formatMB(offset)}`);
+        const chunk = await nextChunk(offset);
+        if (!chunk.byteLength) break;
+        parts.push(chunk);
+        offset += chunk.byteLength;
+        more = total ? offset < total : chunk.byteLength >= VIDEO_CHUNK_BYTES;
+      }
+      if (alive()) attachVideoBlob(v, parts, type);
+    } catch (_) {
+      if (alive() && !ctrl.signal.aborted) setVideoGate(v, 'Video failed to load');
+    } finally {
+      if (v.__edggStreamAbort === ctrl) v.__edggStreamAbort = null;
+    }
+  }
+
+  /** Feed chunks into a MediaSource so playback can start after the first one. */
+  async function playViaMediaSource(v, first, total, mime, nextChunk, alive) {
+    const ms = await openMediaSource(v);
+    const sb = ms.addSourceBuffer(mime);
+    await appendToSourceBuffer(sb, first);
+    setVideoGate(v, null);
+    await feedSourceBuffer(v, sb, first.byteLength, total, nextChunk, alive);
+    if (alive() && ms.readyState === 'open') ms.endOfStream();
+  }
+
+  /** Point the video at a new MediaSource; resolves once it can take buffers. */
+  async function openMediaSource(v) {
+    const ms = new MediaSource();
+    const objUrl = URL.createObjectURL(ms);
+    try { while (v.firstChild) v.removeChild(v.firstChild); } catch (_) {}
+    v.src = objUrl;
+    v.setAttribute('data-edgg-blob-src', objUrl);
+    await new Promise(resolve => ms.addEventListener('sourceopen', resolve, { once: true }));
+    return ms;
+  }
+
+  function appendToSourceBuffer(sb, buf) {
+    return new Promise((resolve, reject) => {
+      sb.addEventListener('updateend', resolve, { once: true });
+      sb.addEventListener('error', reject, { once: true });
+      sb.appendBuffer(buf);
+    });
+  }
+
+  /** Append the rest of a file from `offset`, staying VIDEO_BUFFER_AHEAD_S ahead of playback. */
+  async function feedSourceBuffer(v, sb, offset, total, nextChunk, alive) {
+    while (offset < total) {
+      await waitForBufferRoom(v);
+      if (!alive()) return;
+      const chunk = await nextChunk(offset);
+      if (!chunk.byteLength || !alive()) return;
+      await appendToSourceBuffer(sb, chunk);
+      offset += chunk.byteLength;
+    }
+  }
+
+  /** True if `bytes` exceeds the `maxVideoMB` cap and the user hasn't okayed this video. */
+  function videoOverCap(v, bytes) {
+    const maxBytes = (Number(STATE.settings.maxVideoMB) || 0) * 1048576;
+    return maxBytes > 0 && bytes > maxBytes && !v.__edggSizeOk;
+  }
+
+  function gateLargeVideo(v, bytes, restart) {
+    setVideoGate(v, `Large video (${formatMB(bytes)}) — click to load`, () => {
+      v.__edggSizeOk = true;
+      restart();
+    });
+  }
+
+  /** Full size from a 206 response's Content-Range, or 0. */
+  function contentRangeTotal(resp) {
+    const range = /\/(\d+)\s*$/.exec(resp.headers.get('content-range') || '');
+    return range ? Number(range[1]) : 0;
+  }
+
+  // ---- DASH (Reddit video with audio) ----
+  // v.redd.it keeps video and audio in separate fragmented MP4 files listed in
+  // DASHPlaylist.mpd (`fallback_url` is the video alone, without sound). Both
+  // tracks are streamed into one MediaSource, through the same on-demand,
+  // size-capped path as other CSP-blocked videos.
+  const DASH_MAX_HEIGHT = 720;
+
+  /**
+   * Pick the best video (up to DASH_MAX_HEIGHT) and audio representation of
+   * an MPD. Returns `{ video, audio }`, each `{ url, mime, bandwidth }` or null.
+   */
+  function parseDashManifest(xmlText, manifestUrl) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    const best = { video: null, audio: null };
+    doc.querySelectorAll('AdaptationSet').forEach(set => {
+      set.querySelectorAll('Representation').forEach(rep => {
+        const attr = (k) => rep.getAttribute(k) || set.getAttribute(k) || '';
+        const mimeType = attr('mimeType');
+        const kind = set.getAttribute('contentType') || mimeType.split('/')[0];
+        if (kind !== 'video' && kind !== 'audio') return;
+        if (kind === 'video' && Number(attr('height')) > DASH_MAX_HEIGHT) return;
+        const base = rep.querySelector('BaseURL');
+        if (!base || !base.textContent.trim()) return;
+        const codecs = attr('codecs');
+        const cand = {
+          url: new URL(base.textContent.trim(), manifestUrl).href,
+          mime: (mimeType || kind + '/mp4') + (codecs ? `; codecs="${codecs}"` : ''),
+          bandwidth: Number(attr('bandwidth')) || 0
+        };
+        if (!best[kind] || cand.bandwidth > best[kind].bandwidth) best[kind] = cand;
+      });
+    });
+    return best;
+  }
+
+  /**
+   * Play a DASH manifest's video and audio together through MediaSource.
+   * Falls back to streaming the silent `fallbackUrl` when the manifest or a
+   * codec isn't usable.
+   */
+  async function streamDashVideo(v, dashUrl, fallbackUrl, gen) {
+    const alive = () => v.__edggCspGen === gen && v.isConnected;
+    if (typeof MediaSource !== 'function') return streamVideo(v, fallbackUrl, gen);
+    const ctrl = new AbortController();
+    v.__edggStreamAbort = ctrl;
+    setVideoGate(v, 'Loading video…');
+    let attached = false;
+    try {
+      const resp = await fetch(dashUrl, { credentials: 'omit', cache: 'no-store', mode: 'cors', signal: ctrl.signal });
+      if (!resp.ok) throw new Error('http_' + resp.status);
+      const { video, audio } = parseDashManifest(await resp.text(), dashUrl);
+      if (!video || !MediaSource.isTypeSupported(video.mime)) throw new Error('unsupported');
+      const tracks = [video];
+      if (audio && MediaSource.isTypeSupported(audio.mime)) tracks.push(audio);
+
+      // First chunk of each track; their Content-Range gives the total size
+      const firsts = await Promise.all(tracks.map(async (t) => {
+        const r = await fetchVideoRange(t.url, 0, VIDEO_CHUNK_BYTES - 1, ctrl.signal);
+        const total = r.status === 206 ? contentRangeTotal(r) : 0;
+        const bytes = new Uint8Array(await r.arrayBuffer());
+        return { bytes, total: total || bytes.byteLength };
+      }));
+      if (!alive()) return;
+      const size = firsts.reduce((n, f) => n + f.total, 0);
+      if (videoOverCap(v, size)) {
+        ctrl.abort();
+        gateLargeVideo(v, size, () => streamDashVideo(v, dashUrl, fallbackUrl, gen));
+        return;
+      }
+
+      const ms = await openMediaSource(v);
+      attached = true;
+      // Every SourceBuffer has to exist before the first append
+      const buffers = tracks.map(t => ms.addSourceBuffer(t.mime));
+      await Promise.all(buffers.map((sb, i) => appendToSourceBuffer(sb, firsts[i].bytes)));
+      setVideoGate(v, null);
+      await Promise.all(buffers.map((sb, i) => {
+        const { url } = tracks[i];
+        const total = firsts[i].total;
+        const nextChunk = async (offset) => {
+          const r = await fetchVideoRange(url, offset, Math.min(offset + VIDEO_CHUNK_BYTES, total) - 1, ctrl.signal);
+          return new Uint8Array(await r.arrayBuffer());
+        };
+        return feedSourceBuffer(v, sb, firsts[i].bytes.byteLength, total, nextChunk, alive);
+      }));
+      if (alive() && ms.readyState === 'open') ms.endOfStream();
+    } catch (_) {
+      if (!alive() || ctrl.signal.aborted) return;
+      // Silent video beats no video
+      if (attached) {
+        try { URL.revokeObjectURL(v.getAttribute('data-edgg-blob-src')); } catch (_) {}
+        v.removeAttribute('data-edgg-blob-src');
+      }
+      streamVideo(v, fallbackUrl, gen);
+    } finally {
+      if (v.__edggStreamAbort === ctrl) v.__edggStreamAbort = null;
+    }
+  }
+
+  // ---- Embed virtualization ----
+  // Embeds scrolled far outside the chat viewport are unloaded behind a
+  // placeholder of their measured height: videos paused and emptied, blob:
+  // URLs revoked, image/iframe sources dropped. They rehydrate when they come
+  // back near view. Embeds whose message leaves the DOM are released for good.
+  const VIRTUALIZE_MARGIN_PX = 2500;
+  const embedObservers = new Map(); // scroll root (null = viewport) -> IntersectionObserver
+
+  function trackEmbed(wrap, scroller) {
+    if (!wrap || typeof IntersectionObserver !== 'function') return;
+    // Observe against the chat scroller itself; margins only apply to the root
+    const root = (scroller && scroller !== document.scrollingElement && scroller !== document.body) ? scroller : null;
+    let io = embedObservers.get(root);
+    if (!io) {
+      io = new IntersectionObserver((entries) => {
+        for (const e of entries) {
+          if (e.isIntersecting) rehydrateEmbed(e.target);
+          else unloadEmbed(e.target);
+        }
+      }, { root, rootMargin: `${VIRTUALIZE_MARGIN_PX}px 0px`, threshold: 0 });
+      embedObservers.set(root, io);
+    }
+    io.observe(wrap);
+  }
+
+  /**
+   * Free an embed's media. With `keepPlaceholder` the wrapper keeps its
+   * current height so the chat doesn't jump while it's unloaded.
+   */
+  function unloadEmbed(wrap, keepPlaceholder = true) {
+    if (!wrap || wrap.__edggUnloaded) return;
+    const media = wrap.querySelectorAll('img, video, iframe');
+    if (!media.length) return;
+    if (keepPlaceholder) {
+      const h = wrap.getBoundingClientRect().height;
+      if (h) wrap.style.minHeight = Math.round(h) + 'px';
+    }
+    wrap.__edggUnloaded = true;
+    wrap.classList.add('edgg-unloaded');
+    media.forEach((m) => {
+      try {
+        if (m.tagName === 'VIDEO') { releaseVideo(m); return; }
+        const src = m.getAttribute('src');
+        if (!src || src === 'about:blank') return;
+        m.setAttribute('data-edgg-unloaded-src', src);
+        if (m.tagName === 'IFRAME') m.setAttribute('src', 'about:blank');
+        else m.removeAttribute('src');
+      } catch (_) {}
+    });
+  }
+
+  /** Pause a video, revoke its blob: URL and drop its buffered data. */
+  function releaseVideo(v) {
+    try { v.pause(); } catch (_) {}
+    const orig = v.dataset.edggSrc || getVideoOriginalUrl(v);
+    if (orig) v.setAttribute('data-edgg-unloaded-src', orig);
+    if (v.currentTime > 0) v.setAttribute('data-edgg-unloaded-time', String(v.currentTime));
+    const blob = v.getAttribute('data-edgg-blob-src');
+    v.__edggCspGen = (v.__edggCspGen || 0) + 1;
+    v.__edggCspReady = false;
+    if (v.__edggStreamAbort) { try { v.__edggStreamAbort.abort(); } catch (_) {} }
+    if (videoVisibilityIO) videoVisibilityIO.unobserve(v);
+    setVideoGate(v, null);
+    v.querySelectorAll('source').forEach(s => s.remove());
+    v.removeAttribute('src');
+    if (blob) {
+      try { URL.revokeObjectURL(blob); } catch (_) {}
+      v.removeAttribute('data-edgg-blob-src');
+    }
+    try { v.load(); } catch (_) {}
+  }
+
+  function restoreVideo(v, src) {
+    let blocked = false;
+    try { blocked = isCspBlockedHost(new URL(src).hostname); } catch (_) {}
+    if (!blocked) v.src = src;
+    const t = parseFloat(v.getAttribute('data-edgg-unloaded-time'));
+    v.removeAttribute('data-edgg-unloaded-time');
+    if (t > 0) v.addEventListener('loadedmetadata', () => { try { v.currentTime = t; } catch (_) {} }, { once: true });
+    try { prepareVideoForCsp(v, src); } catch (_) {}
+  }
+
+  function rehydrateEmbed(wrap) {
+    if (!wrap || !wrap.__edggUnloaded) return;
+    wrap.__edggUnloaded = false;
+    wrap.classList.remove('edgg-unloaded');
+    let pending = 0;
+    const done = () => { if (--pending <= 0) wrap.style.minHeight = ''; };
+    wrap.querySelectorAll('[data-edgg-unloaded-src]').forEach((m) => {
+      const src = m.getAttribute('data-edgg-unloaded-src');
+      m.removeAttribute('data-edgg-unloaded-src');
+      pending++;
+      m.addEventListener(m.tagName === 'VIDEO' ? 'loadedmetadata' : 'load', done, { once: true });
+      m.addEventListener('error', done, { once: true });
+      if (m.tagName === 'VIDEO') restoreVideo(m, src);
+      // Auto-refreshing thumbnails may already have a newer src
+      else if (!m.getAttribute('src') || m.getAttribute('src') === 'about:blank') m.setAttribute('src', src);
+    });
+    // Don't hold the placeholder height forever if something never loads
+    setTimeout(() => { if (!wrap.__edggUnloaded) wrap.style.minHeight = ''; }, 5000);
+  }
+
+  /** Release every embed inside a node that was removed from the chat. */
+  function releaseEmbedsIn(node) {
+    if (node.isConnected) return; // moved, not removed
+    const wraps = node.classList.contains('edgg-wrap') ? [node] : node.querySelectorAll('.edgg-wrap');
+    wraps.forEach((w) => {
+      embedObservers.forEach(io => io.unobserve(w));
+      unloadEmbed(w, false);
+    });
+  }
+
   /** Apply CSP safety (blob: fallback) to all videos under a DOM root. */
   function ensureCspSafeVideos(root) {
     if (!root || !root.querySelectorAll) return;
@@ -2130,6 +3679,14 @@
         group.setAttribute('data-edgg-pager', '1');
         group.classList.add('edgg-pager');
         let idx = 0;
+
+        // Per-item captions (data-edgg-caption, e.g. Reddit galleries) shown under the group
+        let caption = null;
+        if (items.some(el => el.hasAttribute('data-edgg-caption'))) {
+          caption = document.createElement('div');
+          caption.className = 'edgg-card-meta edgg-pager-caption';
+          group.after(caption);
+        }
         
         // Show only one item at a time
         const show = (i) => {
@@ -2145,10 +3702,12 @@
             try { holder = el.closest && el.closest('.edgg-spoiler'); } catch (_) {}
             const node = holder || el;
             node.style.display = on ? 'block' : 'none';
+            if (el.__edggGate) el.__edggGate.style.display = on ? '' : 'none';
             // Pause any playing video when hidden
             try { if (!on && el.tagName === 'VIDEO') el.pause(); } catch (_) {}
           }
           try { counter.textContent = (idx + 1) + ' / ' + n; } catch (_) {}
+          if (caption) caption.textContent = items[idx].getAttribute('data-edgg-caption') || '';
           updateButtonVisibility();
         };
 
@@ -2284,7 +3843,7 @@
         if (host !== 't.co') return;
         if (a.__edggTcoResolving) return;
         a.__edggTcoResolving = true;
-        safeSendMessage({ type: 'bgFetch', url: a.href }, (res) => {
+        safeSendMessage({ type: 'bgFetch', url: a.href, priority: fetchPriority(root) }, (res) => {
           try {
             const finalUrl = res && res.finalUrl ? String(res.finalUrl) : '';
             if (!finalUrl) return;
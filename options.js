@@ -0,0 +1,263 @@
+/**
+ *  @file options.js
+ *
+ * Controller for the options page: user-managed media host allowlist and
+ * blocklist (settings `customMediaHosts` / `blockedMediaHosts`) and the
+ * chatter embed mute list (`mutedUsers`, `mutedEmbedMode`, `honorDggIgnore`)
+ * the flair trust policy (`flairPolicy`, `trustedFlairs`), the repost
+ * dedupe window (`dedupeWindowMin`), the proxied video size cap
+ * (`maxVideoMB`) and the message sensitivity rules (`sensitivityRules`).
+ *
+ * Hosts are normalized with the shared helpers in providers.js. Adding an
+ * extra host requests an optional host permission for it, since the content
+ * script and worker need one to fetch CSP-blocked videos and pages; removing
+ * it gives the permission back. Saves go through the background `setSettings`
+ * handler so open chat tabs pick up the change.
+ */
+
+// Shorthand element getter by id.
+const el = (id) => document.getElementById(id);
+
+// Cross-browser API alias (Firefox uses `browser`, Chrome uses `chrome`).
+const api = typeof browser !== 'undefined' ? browser : chrome;
+
+let settings = EDGG.defaultSettings();
+
+// Persist one setting and re-render.
+async function saveSetting(key, value) {
+  settings[key] = value;
+  await api.runtime.sendMessage({ type: "setSettings", settings: { [key]: value } });
+  render();
+}
+
+// Chat usernames: letters, digits and underscores.
+function normalizeUsernameInput(input) {
+  const name = EDGG.normalizeUsername(input);
+  return /^\w{1,32}$/.test(name) ? name : null;
+}
+
+async function hasPermission(pattern) {
+  try { return await api.permissions.contains({ origins: [EDGG.originForHostPattern(pattern)] }); } catch (_) { return false; }
+}
+
+// Must be called straight from a user gesture (click/submit handler).
+async function requestPermission(pattern) {
+  try { return await api.permissions.request({ origins: [EDGG.originForHostPattern(pattern)] }); } catch (_) { return false; }
+}
+
+function releasePermission(pattern) {
+  // Fails harmlessly for origins covered by the manifest's host_permissions.
+  try { api.permissions.remove({ origins: [EDGG.originForHostPattern(pattern)] }).catch(() => {}); } catch (_) {}
+}
+
+function renderList(listEl, items, makeActions) {
+  listEl.textContent = "";
+  if (!items.length) {
+    const li = document.createElement("li");
+    li.className = "empty";
+    li.textContent = "None";
+    listEl.appendChild(li);
+    return;
+  }
+  items.forEach(item => {
+    const li = document.createElement("li");
+    const host = document.createElement("span");
+    host.className = "host";
+    host.textContent = item;
+    li.appendChild(host);
+    if (makeActions) makeActions(li, item);
+    listEl.appendChild(li);
+  });
+}
+
+function removeButton(onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = "Remove";
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function render() {
+  renderList(el("custom-list"), settings.customMediaHosts, (li, pattern) => {
+    const perm = document.createElement("span");
+    perm.className = "perm";
+    li.appendChild(perm);
+    hasPermission(pattern).then(granted => {
+      if (granted) { perm.textContent = "access granted"; return; }
+      const grant = document.createElement("button");
+      grant.type = "button";
+      grant.textContent = "Grant access";
+      grant.addEventListener("click", async () => { if (await requestPermission(pattern)) render(); });
+      perm.replaceWith(grant);
+    });
+    li.appendChild(removeButton(() => {
+      releasePermission(pattern);
+      saveSetting("customMediaHosts", settings.customMediaHosts.filter(p => p !== pattern));
+    }));
+  });
+  renderList(el("blocked-list"), settings.blockedMediaHosts, (li, pattern) => {
+    li.appendChild(removeButton(() => {
+      saveSetting("blockedMediaHosts", settings.blockedMediaHosts.filter(p => p !== pattern));
+    }));
+  });
+  renderList(el("muted-list"), settings.mutedUsers, (li, name) => {
+    li.appendChild(removeButton(() => {
+      saveSetting("mutedUsers", settings.mutedUsers.filter(n => n !== name));
+    }));
+  });
+  renderList(el("flair-list"), settings.trustedFlairs, (li, flair) => {
+    li.appendChild(removeButton(() => {
+      saveSetting("trustedFlairs", settings.trustedFlairs.filter(f => f !== flair));
+    }));
+  });
+  el("flairPolicy").value = settings.flairPolicy;
+  el("dedupeWindowMin").value = settings.dedupeWindowMin;
+  el("maxVideoMB").value = settings.maxVideoMB;
+  el("honorDggIgnore").checked = !!settings.honorDggIgnore;
+  el("mutedEmbedMode").value = settings.mutedEmbedMode;
+}
+
+// ---- Sensitivity rules ----
+// Rendered separately from render() so saving a field doesn't rebuild the
+// row being edited.
+
+function textInput(className, value, placeholder) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = className;
+  input.value = value || "";
+  input.placeholder = placeholder;
+  return input;
+}
+
+function ruleRow(rule, i) {
+  const li = document.createElement("li");
+  li.className = "rule";
+  const pattern = textInput("pattern", rule.pattern, "keywords, e.g. spoiler, loud");
+  const regexLabel = document.createElement("label");
+  const isRegex = document.createElement("input");
+  isRegex.type = "checkbox";
+  isRegex.checked = !!rule.isRegex;
+  regexLabel.append(isRegex, " regex");
+  const label = textInput("label", rule.label, "label");
+  const overlay = textInput("overlay", rule.overlay, "overlay text (optional)");
+  const behavior = document.createElement("select");
+  EDGG.SENSITIVITY_BEHAVIORS.forEach(b => behavior.add(new Option(b, b)));
+  behavior.value = rule.behavior || "blur";
+  const status = document.createElement("div");
+  status.className = "status";
+
+  const commit = () => {
+    const next = {
+      pattern: pattern.value.trim(),
+      isRegex: isRegex.checked,
+      label: label.value.trim(),
+      overlay: overlay.value.trim(),
+      behavior: behavior.value
+    };
+    try { EDGG.compileSensitivityRule(next); } catch (_) { status.textContent = "Invalid regular expression"; return; }
+    status.textContent = "";
+    const rules = settings.sensitivityRules.slice();
+    rules[i] = next;
+    saveSetting("sensitivityRules", rules);
+  };
+  [pattern, isRegex, label, overlay, behavior].forEach(input => input.addEventListener("change", commit));
+
+  const up = document.createElement("button");
+  up.type = "button";
+  up.textContent = "↑";
+  up.title = "Check this rule earlier";
+  up.disabled = i === 0;
+  up.addEventListener("click", () => {
+    const rules = settings.sensitivityRules.slice();
+    [rules[i - 1], rules[i]] = [rules[i], rules[i - 1]];
+    saveRules(rules);
+  });
+
+  li.append(pattern, regexLabel, label, overlay, behavior, up, removeButton(() => {
+    saveRules(settings.sensitivityRules.filter((_, k) => k !== i));
+  }), status);
+  return li;
+}
+
+function renderRules() {
+  const root = el("rules-list");
+  root.textContent = "";
+  settings.sensitivityRules.forEach((rule, i) => root.appendChild(ruleRow(rule, i)));
+}
+
+async function saveRules(rules) {
+  await saveSetting("sensitivityRules", rules);
+  renderRules();
+}
+
+el("add-rule").addEventListener("click", () => {
+  saveRules(settings.sensitivityRules.concat({ pattern: "", isRegex: false, label: "", overlay: "", behavior: "blur" }));
+});
+
+// Validate input for `key`; returns the normalized value or null.
+function takeInput(inputId, statusId, key, normalize = EDGG.normalizeHostPattern, invalidText = "Enter a host like example.com or *.example.com") {
+  const input = el(inputId);
+  const status = el(statusId);
+  const pattern = normalize(input.value);
+  if (!pattern) { status.textContent = invalidText; return null; }
+  if (settings[key].includes(pattern)) { status.textContent = `${pattern} is already listed`; return null; }
+  status.textContent = "";
+  input.value = "";
+  return pattern;
+}
+
+el("custom-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const pattern = takeInput("custom-input", "custom-status", "customMediaHosts");
+  if (!pattern) return;
+  // Ask first: permissions.request must run before any other await.
+  const granted = await requestPermission(pattern);
+  if (!granted) el("custom-status").textContent = `Added ${pattern} without access; some videos may not load`;
+  await saveSetting("customMediaHosts", settings.customMediaHosts.concat(pattern));
+});
+
+el("blocked-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const pattern = takeInput("blocked-input", "blocked-status", "blockedMediaHosts");
+  if (!pattern) return;
+  await saveSetting("blockedMediaHosts", settings.blockedMediaHosts.concat(pattern));
+});
+
+el("muted-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const name = takeInput("muted-input", "muted-status", "mutedUsers", normalizeUsernameInput, "Enter a chat username");
+  if (!name) return;
+  await saveSetting("mutedUsers", settings.mutedUsers.concat(name));
+});
+
+el("honorDggIgnore").addEventListener("change", (e) => saveSetting("honorDggIgnore", e.target.checked));
+el("mutedEmbedMode").addEventListener("change", (e) => saveSetting("mutedEmbedMode", e.target.value));
+
+el("flair-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const flair = takeInput("flair-input", "flair-status", "trustedFlairs", EDGG.normalizeFlair, "Enter a flair id (letters, digits, - or _)");
+  if (!flair) return;
+  await saveSetting("trustedFlairs", settings.trustedFlairs.concat(flair));
+});
+
+el("flairPolicy").addEventListener("change", (e) => saveSetting("flairPolicy", e.target.value));
+el("dedupeWindowMin").addEventListener("change", (e) => {
+  const min = Math.max(0, Math.min(240, Math.round(Number(e.target.value) || 0)));
+  saveSetting("dedupeWindowMin", min);
+});
+el("maxVideoMB").addEventListener("change", (e) => {
+  saveSetting("maxVideoMB", Math.max(0, Math.min(2000, Math.round(Number(e.target.value) || 0))));
+});
+
+// Load current settings and reflect them in the page.
+async function load() {
+  renderList(el("builtin-list"), EDGG.BUILTIN_MEDIA_HOSTS);
+  const res = await api.runtime.sendMessage({ type: "getSettings" });
+  if (res?.ok) settings = { ...settings, ...res.settings };
+  render();
+  renderRules();
+}
+
+load();
@@ -0,0 +1,29 @@
+/**
+ *  @file player.js
+ *
+ * Extension-hosted YouTube player (player.html). The content script frames
+ * this page when the chat's CSP refuses a youtube-nocookie iframe, and the
+ * background opens it as a pop-out window when even that is refused. The
+ * video is described by the page hash (see EDGG.youTubePlayerHash).
+ */
+
+function render() {
+  document.body.querySelectorAll("iframe, .error").forEach(n => n.remove());
+  const src = EDGG.youTubeEmbedUrl(EDGG.parseYouTubePlayerHash(location.hash));
+  if (!src) {
+    const err = document.createElement("div");
+    err.className = "error";
+    err.textContent = "Nothing to play.";
+    document.body.appendChild(err);
+    return;
+  }
+  const frame = document.createElement("iframe");
+  frame.src = src;
+  frame.allow = "autoplay; encrypted-media; picture-in-picture; fullscreen";
+  frame.allowFullscreen = true;
+  frame.referrerPolicy = "strict-origin-when-cross-origin";
+  document.body.appendChild(frame);
+}
+
+window.addEventListener("hashchange", render);
+render();
@@ -12,16 +12,23 @@
 // Shorthand element getter by id.
 const el = (id) => document.getElementById(id);
 
-// List of setting keys mirrored to checkbox ids in popup.html.
-const keys = [
-  "enableTweets",
-  "enableMedia",
-  "enableYouTube",
-  "enableTwitch",
-  "enableKick",
-  "enableInstagram",
-  "blurMedia"
-];
+// Setting keys from the shared registry (providers.js); each gets a checkbox
+// with a matching id.
+const keys = EDGG.SETTINGS.map(s => s.key);
+
+// Build the toggle list in registry order.
+function renderToggles() {
+  const root = el("toggles");
+  EDGG.SETTINGS.forEach(s => {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.id = s.key;
+    input.type = "checkbox";
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(" " + s.label));
+    root.appendChild(label);
+  });
+}
 
 // Cross-browser API alias (Firefox uses `browser`, Chrome uses `chrome`).
 const api = typeof browser !== 'undefined' ? browser : chrome;
@@ -49,5 +56,13 @@ keys.forEach(k => {
   });
 });
 
+// Host lists and chatter mutes live on the full options page.
+el("open-options").addEventListener("click", (e) => {
+  e.preventDefault();
+  api.runtime.openOptionsPage();
+  window.close();
+});
+
 // Initialize on popup open.
+renderToggles();
 load();
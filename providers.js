@@ -0,0 +1,678 @@
+/**
+ * @file providers.js
+ *
+ * Shared embed provider registry. Loaded ahead of content.js (content script),
+ * background.js (service worker / Firefox background scripts) and popup.js,
+ * so every part of the extension agrees on which sites exist, which setting
+ * toggles each one, and in what order links are matched.
+ *
+ * A provider declares:
+ * - `id`: key used by content.js to look up its renderer.
+ * - `setting`: chrome.storage.sync key that enables it (null = always on).
+ * - `resolve`: background message type its renderer uses to look up metadata
+ *   (null when the link can be rendered directly).
+ * - `match(url, ctx)`: pure URL test; returns match details or null.
+ *
+ * Providers are tried in array order and the first enabled match wins, so
+ * specific shapes (t.co, bigscreen hashes, tweets) come before broad ones.
+ * Everything here is DOM-free so it can run in the worker too.
+ */
+(function (root) {
+  // Popup toggles, in display order. Defaults are seeded on install.
+  const SETTINGS = [
+    { key: 'blurMedia', label: 'Blur Media Until Clicked', default: false },
+    { key: 'enableMedia', label: 'Images & videos (From Approved Sources)', default: true },
+    { key: 'enableTweets', label: 'Tweets (Twitter/X/Nitter)', default: true },
+    { key: 'enableBluesky', label: 'Bluesky Posts', default: true },
+    { key: 'enableYouTube', label: 'YouTube (Thumbnail + Title)', default: true },
+    { key: 'youTubeInline', label: 'YouTube: Play Inline Button', default: false },
+    { key: 'enableTwitch', label: 'Twitch (Thumbnail + Title)', default: true },
+    { key: 'enableKick', label: 'Kick (Thumbnail + Title)', default: true },
+    { key: 'enableInstagram', label: 'Instagram (Thumbnail + Title)', default: true }
+  ];
+
+  const MEDIA_EXT = /\.(png|jpe?g|gif|webp|mp4|webm|mov)$/i;
+  const IMAGE_EXTS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+  const VIDEO_EXTS = ['mp4', 'webm', 'mov'];
+
+  // Non-toggle settings managed from the options page.
+  const OPTION_DEFAULTS = {
+    customMediaHosts: [],   // user additions to BUILTIN_MEDIA_HOSTS
+    blockedMediaHosts: [],  // always refused, even if built in
+    mutedUsers: [],         // lowercased chatters whose links are never embedded
+    mutedEmbedMode: 'stub', // 'stub' = collapsed "embed hidden" line, 'hide' = nothing
+    honorDggIgnore: true,   // also treat DGG's own ignore list as muted
+    flairPolicy: 'everyone', // 'trusted' = auto-embed only for authors with a trustedFlairs flair
+    trustedFlairs: ['subscriber', 'moderator', 'admin', 'vip', 'broadcaster'], // DGG data-flair ids
+    dedupeWindowMin: 10,    // repost of content embedded this recently -> compact chip (0 = off)
+    maxVideoMB: 50,         // CSP-proxied videos larger than this wait for a click (0 = no cap)
+    // Message keywords/regexes mapped to a spoiler label; first match wins.
+    // behavior: 'blur' (click to reveal), 'hide' (no embed), 'mute' (videos start muted)
+    sensitivityRules: [
+      { pattern: 'nsfl', isRegex: false, label: 'NSFL', overlay: '', behavior: 'blur' },
+      { pattern: 'nsfw', isRegex: false, label: 'NSFW', overlay: '', behavior: 'blur' }
+    ]
+  };
+
+  const SENSITIVITY_BEHAVIORS = ['blur', 'hide', 'mute'];
+
+  // Hosts whose links may be embedded. Entries are exact hosts or "*.suffix"
+  // wildcards (matching the bare domain and every subdomain); a leading
+  // "www." is ignored on both sides.
+  const BUILTIN_MEDIA_HOSTS = [
+    // Twitter/X and front-ends
+    "twitter.com","mobile.twitter.com","pic.twitter.com","x.com","t.co","nitter.net",
+    "fxtwitter.com","vxtwitter.com","cdn.syndication.twimg.com","publish.twitter.com",
+    "pbs.twimg.com","video.twimg.com",
+    // Bluesky posts, their image CDN, video thumbnails and the PDSes serving video blobs
+    "bsky.app","cdn.bsky.app","video.bsky.app","*.bsky.network",
+    // Video and streaming sites
+    "youtube.com","m.youtube.com","music.youtube.com","youtu.be","youtube-nocookie.com","vimeo.com","twitch.tv","m.twitch.tv","clips.twitch.tv","kick.com",
+    // Image and file hosts
+    "imgur.com","i.imgur.com","flickr.com","giphy.com","media.giphy.com","tenor.com","media.tenor.com",
+    "streamable.com","dropbox.com","*.dropboxusercontent.com","onedrive.live.com",
+    "photos.google.com","lh3.googleusercontent.com","icloud.com","res.cloudinary.com",
+    "s3.amazonaws.com","cdn.discordapp.com","i.4cdn.org","files.catbox.moe","i.kym-cdn.com",
+    // Reddit
+    "reddit.com","packaged-media.redd.it","i.redd.it","preview.redd.it","v.redd.it"
+  ];
+
+  // Pages the background worker scrapes for metadata (bgFetch), in addition
+  // to whichever media hosts are currently allowed.
+  const BUILTIN_PAGE_HOSTS = [
+    "youtube.com","youtu.be","twitch.tv","t.co","imgur.com","i.imgur.com",
+    "instagram.com","ddinstagram.com","kick.com","reddit.com"
+  ];
+
+  const normHostname = (h) => String(h || '').toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+  const normHost = (u) => normHostname(u.hostname);
+
+  /**
+   * Normalize user input ("https://Foo.com/x", "*.foo.com", "www.foo.com")
+   * into a host pattern, or return null if it isn't a plausible host.
+   */
+  function normalizeHostPattern(input) {
+    let s = String(input || '').trim().toLowerCase();
+    if (!s) return null;
+    // Drop scheme, credentials, port and path; keep a leading "*."
+    s = s.replace(/^[a-z][a-z0-9+.-]*:\/\//, '').split(/[/?#]/)[0].replace(/^.*@/, '').replace(/:\d*$/, '');
+    const wild = s.startsWith('*.');
+    const host = normHostname(wild ? s.slice(2) : s);
+    if (!/^([a-z0-9-]+\.)+[a-z0-9-]{2,}$/.test(host)) return null;
+    return (wild ? '*.' : '') + host;
+  }
+
+  /** True if `hostname` matches an exact or "*.suffix" host pattern. */
+  function hostMatches(hostname, pattern) {
+    const h = normHostname(hostname);
+    const p = String(pattern || '').toLowerCase();
+    if (p.startsWith('*.')) {
+      const base = normHostname(p.slice(2));
+      return h === base || h.endsWith('.' + base);
+    }
+    return h === normHostname(p);
+  }
+
+  function isHostBlocked(hostname, settings) {
+    const blocked = (settings && settings.blockedMediaHosts) || [];
+    return blocked.some(p => hostMatches(hostname, p));
+  }
+
+  /** Built-in or user-added media host, and not on the user's blocklist. */
+  function isMediaHostAllowed(hostname, settings) {
+    if (isHostBlocked(hostname, settings)) return false;
+    const custom = (settings && settings.customMediaHosts) || [];
+    return BUILTIN_MEDIA_HOSTS.some(p => hostMatches(hostname, p)) || custom.some(p => hostMatches(hostname, p));
+  }
+
+  /** Hosts the background worker may fetch for the content script. */
+  function isPageFetchAllowed(hostname, settings) {
+    if (isHostBlocked(hostname, settings)) return false;
+    return BUILTIN_PAGE_HOSTS.some(p => hostMatches(hostname, p)) || isMediaHostAllowed(hostname, settings);
+  }
+
+  /** Canonical form of a DGG flair id ("Flair13" -> "flair13"). */
+  function normalizeFlair(flair) {
+    const f = String(flair || '').trim().toLowerCase();
+    return /^[a-z0-9_-]{1,40}$/.test(f) ? f : null;
+  }
+
+  /** Canonical form of a chatter's name for mute lists ("@Foo " -> "foo"). */
+  function normalizeUsername(name) {
+    return String(name || '').trim().replace(/^@/, '').toLowerCase();
+  }
+
+  const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  /**
+   * Compile a sensitivity rule to a case-insensitive RegExp (null if empty).
+   * Keyword rules take a comma-separated list matched as whole words; regex
+   * rules throw on invalid syntax.
+   */
+  function compileSensitivityRule(rule) {
+    if (rule.isRegex) return rule.pattern ? new RegExp(rule.pattern, 'i') : null;
+    const words = String(rule.pattern || '').split(',').map(w => w.trim()).filter(Boolean);
+    if (!words.length) return null;
+    return new RegExp('(?<!\\w)(?:' + words.map(escapeRegExp).join('|') + ')(?!\\w)', 'i');
+  }
+
+  const compiledRules = new WeakMap();
+
+  /**
+   * First rule matching `text`, normalized to `{ label, overlay, behavior }`,
+   * or null. Rules with an invalid regex are skipped.
+   */
+  function matchSensitivityRule(text, rules) {
+    for (const rule of rules || []) {
+      if (!rule || typeof rule !== 'object') continue;
+      if (!compiledRules.has(rule)) {
+        let re = null;
+        try { re = compileSensitivityRule(rule); } catch (_) {}
+        compiledRules.set(rule, re);
+      }
+      const re = compiledRules.get(rule);
+      if (!re || !re.test(text)) continue;
+      const label = String(rule.label || '').trim().toUpperCase()
+        || String(rule.pattern).split(',')[0].trim().toUpperCase();
+      return {
+        label,
+        overlay: String(rule.overlay || '').trim(),
+        behavior: SENSITIVITY_BEHAVIORS.includes(rule.behavior) ? rule.behavior : 'blur'
+      };
+    }
+    return null;
+  }
+
+  /** Host permission origin to request for a host pattern. */
+  function originForHostPattern(pattern) {
+    return `https://${pattern}/*`;
+  }
+
+  function isTwitterImageUrl(u) {
+    try {
+      if (normHost(u) !== 'pbs.twimg.com') return false;
+      const fmt = (u.searchParams.get('format') || '').toLowerCase();
+      return fmt === 'jpg' || fmt === 'jpeg' || fmt === 'png' || fmt === 'webp' || fmt === 'gif';
+    } catch { return false; }
+  }
+
+  function isTwitterVideoUrl(u) {
+    try {
+      if (normHost(u) !== 'video.twimg.com') return false;
+      const path = u.pathname.toLowerCase();
+      // common shapes: /ext_tw_video/<id>/pu/vid/<WxH>/<file>.mp4?tag=... OR /amplify_video/...
+      return /\.mp4(?:$|\?)/.test(path) || /\/vid\//.test(path) || /\/mp4\//.test(path);
+    } catch { return false; }
+  }
+
+  function isWhitelistedUrl(u, settings) {
+    return isMediaHostAllowed(u.hostname, settings);
+  }
+
+  function looksLikeMediaPath(u) {
+    return MEDIA_EXT.test(u.pathname) || isTwitterImageUrl(u) || isTwitterVideoUrl(u);
+  }
+
+  /** Return true if a hostname belongs to a supported Twitter/X front‑end. */
+  function isTweetUrlHost(hostname) {
+    const h = (hostname || '').toLowerCase().replace(/^www\./, '');
+    return (
+      h === 'twitter.com' ||
+      h === 'x.com' ||
+      h === 'mobile.twitter.com' ||
+      h === 'fxtwitter.com' ||
+      h === 'vxtwitter.com' ||
+      h === 'nitter.net'
+    );
+  }
+
+  const YT_HOST = /(^|\.)(youtube\.com|youtube-nocookie\.com)$/i;
+  const YT_ID = /^[\w-]{11}$/;
+
+  /**
+   * Parse a YouTube/Twitch start time: `90`, `90s`, `1m30s`, `1h2m3s` or `1:30`.
+   * Returns whole seconds, or 0 if absent/unparseable.
+   */
+  function parseTimestamp(v) {
+    const s = String(v || '').trim().toLowerCase();
+    if (/^\d+s?$/.test(s)) return parseInt(s, 10);
+    if (/^\d+(:\d{1,2}){1,2}$/.test(s)) return s.split(':').reduce((acc, n) => acc * 60 + parseInt(n, 10), 0);
+    const m = s.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!m || !s) return 0;
+    return (parseInt(m[1] || 0, 10) * 3600) + (parseInt(m[2] || 0, 10) * 60) + parseInt(m[3] || 0, 10);
+  }
+
+  /**
+   * Parse any YouTube link shape into `{ id, list, clip, start, short }`:
+   * youtu.be/<id>, /watch?v=, /shorts/, /live/, /embed/ (also on
+   * youtube-nocookie.com), /v/, /clip/<clipId> (video id only known from the
+   * page), and playlist-only links (/playlist?list=, /embed/videoseries).
+   * m., music. and www. subdomains are all the same site. Returns null for
+   * channel pages, search, etc.
+   */
+  function parseYouTubeUrl(u) {
+    const host = normHost(u);
+    const parts = u.pathname.split('/').filter(Boolean);
+    const q = u.searchParams;
+    let id = null, clip = null, short = false;
+    if (host === 'youtu.be') {
+      id = parts[0] || null;
+    } else if (YT_HOST.test(host)) {
+      const [kind, value] = parts;
+      if (kind === 'watch') id = q.get('v');
+      else if (kind === 'shorts') { id = value; short = true; }
+      else if ((kind === 'live' || kind === 'embed' || kind === 'v') && value !== 'videoseries') id = value;
+      else if (kind === 'clip' && /^[\w-]+$/.test(value || '')) clip = value;
+      else if (kind !== 'playlist' && !(kind === 'embed' && value === 'videoseries')) return null;
+    } else {
+      return null;
+    }
+    if (id && !YT_ID.test(id)) id = null;
+    const list = /^[\w-]+$/.test(q.get('list') || '') ? q.get('list') : null;
+    if (!id && !clip && !list) return null;
+    // `t` on watch/youtu.be links, `start` on embeds, `#t=` on old shares
+    const hashT = (u.hash.match(/[#&]t=([^&]+)/) || [])[1];
+    const start = parseTimestamp(q.get('t') || q.get('start') || hashT);
+    return { id, list, clip, start, short };
+  }
+
+  /** Extract a YouTube video id from any URL shape parseYouTubeUrl accepts. */
+  function extractYouTubeId(u) {
+    const m = parseYouTubeUrl(u);
+    return m ? m.id : null;
+  }
+
+  /**
+   * Privacy-enhanced (youtube-nocookie) player URL for `{ id, list, start, end }`:
+   * a video (optionally within a playlist) or a playlist alone, autoplaying
+   * from `start` and stopping at `end` seconds (clips). Null if neither id
+   * nor list is valid.
+   */
+  function youTubeEmbedUrl(p) {
+    const id = p && YT_ID.test(p.id || '') ? p.id : null;
+    const list = p && /^[\w-]+$/.test(p.list || '') ? p.list : null;
+    if (!id && !list) return null;
+    const u = new URL(`https://www.youtube-nocookie.com/embed/${id || 'videoseries'}`);
+    if (list) u.searchParams.set('list', list);
+    u.searchParams.set('autoplay', '1');
+    if (p.start > 0) u.searchParams.set('start', String(Math.floor(p.start)));
+    if (p.end > 0) u.searchParams.set('end', String(Math.ceil(p.end)));
+    return u.href;
+  }
+
+  /** `{ id, list, start, end }` as the hash of the extension's player.html, and back. */
+  function youTubePlayerHash(p) {
+    const q = new URLSearchParams();
+    if (p.id) q.set('v', p.id);
+    if (p.list) q.set('list', p.list);
+    if (p.start > 0) q.set('start', String(p.start));
+    if (p.end > 0) q.set('end', String(p.end));
+    return q.toString();
+  }
+
+  function parseYouTubePlayerHash(hash) {
+    const q = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    return { id: q.get('v'), list: q.get('list'), start: Number(q.get('start')) || 0, end: Number(q.get('end')) || 0 };
+  }
+
+  /**
+   * Extract a Twitch channel, VOD id (with its `?t=` start in seconds) or clip
+   * slug from twitch.tv/<channel>, twitch.tv/videos/<id>,
+   * twitch.tv/<channel>/clip/<slug> or clips.twitch.tv/<slug>.
+   */
+  function extractTwitch(u) {
+    const parts = u.pathname.split("/").filter(Boolean);
+    const none = { channel: null, video: null };
+    const slug = (s) => (/^[\w-]+$/.test(s || '') ? { channel: null, video: null, clip: s } : none);
+    if (normHost(u) === 'clips.twitch.tv') return slug(parts[0] === 'embed' ? u.searchParams.get('clip') : parts[0]);
+    if (parts[1] === 'clip') return slug(parts[2]);
+    if (parts[0] === "videos" && parts[1]) return { channel: null, video: parts[1], start: parseTimestamp(u.searchParams.get('t')) };
+    if (parts[0]) return { channel: parts[0], video: null };
+    return none;
+  }
+
+  /**
+   * Extract a Kick channel, VOD id or clip id from kick.com/<channel>,
+   * kick.com/video/<id>, kick.com/<channel>/videos/<id>,
+   * kick.com/<channel>/clips/<clip> or kick.com/<channel>?clip=<clip>.
+   */
+  function extractKick(u) {
+    const parts = u.pathname.split('/').filter(Boolean);
+    const none = { channel: null, video: null };
+    if (!parts.length) return none;
+    const clip = parts[1] === 'clips' || parts[1] === 'clip' ? parts[2] : u.searchParams.get('clip');
+    if (/^[\w-]+$/.test(clip || '')) return { channel: null, video: null, clip };
+    if ((parts[0] === 'video' || parts[0] === 'videos') && parts[1]) return { channel: null, video: parts[1] };
+    if (parts[1] === 'videos' && parts[2]) return { channel: null, video: parts[2] };
+    return { channel: parts[0] || null, video: null };
+  }
+
+  /**
+   * Extract a Twitch channel from a DGG bigscreen link hash or from link text
+   * formatted like "#twitch/xqc".
+   */
+  function extractDggBigscreenTwitch(u, linkText) {
+    try {
+      // Only consider bigscreen links for hash parsing
+      const isDgg = /(\.|^)destiny\.gg$/i.test(u.hostname) && u.pathname.startsWith('/bigscreen');
+      if (isDgg && typeof u.hash === 'string' && u.hash) {
+        // Require the slash form: #twitch/<channel>
+        const m = u.hash.match(/^#twitch\/([a-z0-9_]+)/i);
+        if (m && m[1]) return m[1];
+      }
+    } catch (_) {}
+    try {
+      const t = (linkText || '').trim();
+      if (!t) return null;
+      // Accept only the slash form: #twitch/<channel>
+      const m2 = t.match(/^#twitch\/([a-z0-9_]+)$/i);
+      if (m2 && m2[1]) return m2[1];
+    } catch (_) {}
+    return null;
+  }
+
+  // Embeds the bigscreen player can switch to, and the ids each accepts.
+  const BIGSCREEN_IDS = {
+    twitch: /^\w{1,40}$/,
+    'twitch-vod': /^\d{1,20}$/,
+    'twitch-clip': /^[\w-]{1,100}$/,
+    youtube: YT_ID,
+    kick: /^[\w-]{1,40}$/
+  };
+
+  /**
+   * destiny.gg/bigscreen hash playing `{ platform, id, start }`, e.g.
+   * `#twitch/<channel>`, `#youtube/<id>?t=<seconds>` or `#kick/<channel>`.
+   * Null for anything else, so only these shapes reach the bigscreen page.
+   */
+  function bigscreenHash(t) {
+    const re = t && Object.prototype.hasOwnProperty.call(BIGSCREEN_IDS, t.platform) && BIGSCREEN_IDS[t.platform];
+    if (!re || !re.test(String(t.id || ''))) return null;
+    const sec = Math.floor(Number(t.start));
+    const start = t.platform === 'youtube' && Number.isFinite(sec) && sec > 0 ? `?t=${sec}` : '';
+    return `#${t.platform}/${t.id}${start}`;
+  }
+
+  /**
+   * `{ actor, rkey }` from a bsky.app/profile/<handle or did>/post/<rkey>
+   * link, or null.
+   */
+  function parseBlueskyPostUrl(u) {
+    try {
+      const url = new URL(u);
+      if (normHost(url) !== 'bsky.app') return null;
+      const m = url.pathname.match(/^\/profile\/([^/]+)\/post\/([\w.~-]{1,64})\/?$/);
+      if (!m) return null;
+      const actor = decodeURIComponent(m[1]).toLowerCase();
+      const valid = /^did:(plc|web):[\w.:%-]+$/.test(actor) || /^([a-z0-9-]+\.)+[a-z0-9-]+$/.test(actor);
+      return valid ? { actor, rkey: m[2] } : null;
+    } catch (_) { return null; }
+  }
+
+  /** Tweet id from /status/<id> or /i/web/status/<id> URLs, or null. */
+  function extractTweetId(u) {
+    try {
+      const url = new URL(u);
+      const m = url.pathname.match(/\/status\/(\d+)/) || url.pathname.match(/\/i\/web\/status\/(\d+)/);
+      return m ? m[1] : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Map Instagram reels/reel URLs to canonical /p/<id> post URLs so OG tags resolve reliably
+  function canonicalizeInstagramUrl(u) {
+    try {
+      const url = new URL(u);
+      url.hostname = url.hostname.replace(/^www\./, '');
+      if (!/(^|\.)instagram\.com$/i.test(url.hostname)) return u;
+      url.pathname = url.pathname.replace(/^\/reels\//i, '/p/').replace(/^\/reel\//i, '/p/');
+      return url.href;
+    } catch (_) { return u; }
+  }
+
+  // Query params that never change what a link points to.
+  const TRACKING_PARAMS = /^(utm_\w+|si|feature|ref|ref_src|ref_url|s|igsh|igshid|fbclid)$/i;
+
+  /**
+   * Stable key for "the same content" behind a matched link, so reposts via
+   * different URL shapes (x.com/twitter.com/fxtwitter.com, youtu.be/watch/
+   * shorts, Instagram reel/p) collapse together. Falls back to host + path +
+   * non-tracking query. Returns null for links that aren't content (t.co is
+   * keyed by its destination once resolved).
+   */
+  function canonicalMediaKey(url, hit) {
+    const m = (hit && hit.match) || {};
+    switch (hit && hit.provider.id) {
+      case 'tco':
+        return null;
+      case 'tweet': {
+        const id = extractTweetId(url.href);
+        if (id) return `tweet:${id}`;
+        break;
+      }
+      case 'bluesky':
+        return `bluesky:${m.actor}/${m.rkey}`;
+      case 'youtube':
+        if (m.id) return `youtube:${m.id}`;
+        return m.clip ? `youtube:clip:${m.clip}` : `youtube:list:${m.list}`;
+      case 'bigscreenTwitch':
+      case 'twitch':
+        if (m.clip) return `twitch:clip:${m.clip}`;
+        return m.video ? `twitch:video:${m.video}` : `twitch:${String(m.channel).toLowerCase()}`;
+      case 'kick':
+        if (m.clip) return `kick:clip:${m.clip}`;
+        return m.video ? `kick:video:${m.video}` : `kick:${String(m.channel).toLowerCase()}`;
+      case 'instagram':
+        url = new URL(canonicalizeInstagramUrl(url.href));
+        url.search = '';
+        break;
+      case 'reddit': {
+        if (m.commentId) return `reddit:${m.postId.toLowerCase()}:${m.commentId.toLowerCase()}`;
+        const post = url.pathname.match(/\/(?:comments|gallery)\/([a-z0-9]+)/i);
+        if (post) return `reddit:${post[1].toLowerCase()}`;
+        break;
+      }
+      case 'media':
+      case 'redditMedia':
+        try { url = new URL(m.src); } catch (_) {}
+        break;
+    }
+    const params = Array.from(url.searchParams.entries())
+      .filter(([k]) => !TRACKING_PARAMS.test(k) && !(normHost(url) === 'pbs.twimg.com' && k === 'name'))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([k, v]) => `${k}=${v}`)
+      .join('&');
+    return `url:${normHost(url)}${url.pathname.replace(/\/+$/, '')}${params ? '?' + params : ''}`;
+  }
+
+  /** Classify a direct media URL as image or video by extension/CDN shape. */
+  function directMediaMatch(u) {
+    const ext = (u.pathname.split('.').pop() || '').toLowerCase();
+    if (isTwitterImageUrl(u) || IMAGE_EXTS.includes(ext)) return { kind: 'image', src: u.href };
+    if (isTwitterVideoUrl(u) || VIDEO_EXTS.includes(ext)) {
+      const mime = (isTwitterVideoUrl(u) || ext === 'mp4') ? 'video/mp4' : (ext === 'webm' ? 'video/webm' : 'video/quicktime');
+      return { kind: 'video', src: u.href, mime };
+    }
+    return null;
+  }
+
+  const PROVIDERS = [
+    {
+      // Twitter shortlinks: resolved to their destination, then matched again
+      id: 'tco',
+      setting: null,
+      resolve: 'bgFetch',
+      match: (u) => (normHost(u) === 't.co' ? {} : null)
+    },
+    {
+      // DGG bigscreen Twitch hash links (e.g., #twitch/xqc)
+      id: 'bigscreenTwitch',
+      setting: 'enableTwitch',
+      resolve: 'liveStatus',
+      match: (u, ctx) => {
+        const channel = extractDggBigscreenTwitch(u, ctx && ctx.linkText);
+        return channel ? { channel } : null;
+      }
+    },
+    {
+      id: 'tweet',
+      setting: 'enableTweets',
+      resolve: 'fetchTweet',
+      match: (u, ctx) => {
+        if (!isWhitelistedUrl(u, ctx.settings)) return null;
+        const isTweet = isTweetUrlHost(u.hostname) && (/\/status\/\d+/.test(u.pathname) || /\/i\/web\/status\/\d+/.test(u.pathname));
+        const isPicShort = normHost(u) === 'pic.twitter.com';
+        return (isTweet || isPicShort) ? {} : null;
+      }
+    },
+    {
+      id: 'bluesky',
+      setting: 'enableBluesky',
+      resolve: 'fetchBluesky',
+      match: (u) => parseBlueskyPostUrl(u.href)
+    },
+    {
+      // Direct image/video files on whitelisted hosts
+      id: 'media',
+      setting: 'enableMedia',
+      resolve: null,
+      match: (u, ctx) => (isWhitelistedUrl(u, ctx.settings) && looksLikeMediaPath(u) ? directMediaMatch(u) : null)
+    },
+    {
+      // Reddit redirector: https://www.reddit.com/media?url=<encoded direct media>
+      id: 'redditMedia',
+      setting: 'enableMedia',
+      resolve: null,
+      match: (u, ctx) => {
+        if (!/(^|\.)reddit\.com$/i.test(u.hostname) || u.pathname !== '/media') return null;
+        const target = u.searchParams.get('url');
+        if (!target) return null;
+        try {
+          const mu = new URL(target, u.href);
+          const okHost = isMediaHostAllowed(mu.hostname, ctx.settings)
+            || (/(^|\.)redd\.it$/i.test(mu.hostname) && !isHostBlocked(mu.hostname, ctx.settings));
+          return okHost ? directMediaMatch(mu) : null;
+        } catch (_) { return null; }
+      }
+    },
+    {
+      // Imgur page without direct file extension: resolved via og: tags
+      id: 'imgur',
+      setting: 'enableMedia',
+      resolve: 'bgFetch',
+      match: (u) => (/(^|\.)imgur\.com$/i.test(u.hostname) && !looksLikeMediaPath(u) ? {} : null)
+    },
+    {
+      id: 'instagram',
+      setting: 'enableInstagram',
+      resolve: 'bgFetch',
+      match: (u) => (/(^|\.)instagram\.com$/i.test(u.hostname) ? {} : null)
+    },
+    {
+      // Reddit post, comment permalink or gallery link (embed text + media)
+      id: 'reddit',
+      setting: 'enableMedia',
+      resolve: 'bgFetch',
+      match: (u) => {
+        if (!/(^|\.)reddit\.com$/i.test(u.hostname)) return null;
+        // /comments/<post>/<slug or "comment">/<comment>
+        const comment = u.pathname.match(/\/comments\/([a-z0-9]+)\/[^/]+\/([a-z0-9]+)\/?$/i);
+        if (comment) return { postId: comment[1], commentId: comment[2] };
+        if (/\/comments\//.test(u.pathname)) return {};
+        const gallery = u.pathname.match(/^\/gallery\/([a-z0-9]+)\/?$/i);
+        return gallery ? { galleryId: gallery[1] } : null;
+      }
+    },
+    {
+      id: 'youtube',
+      setting: 'enableYouTube',
+      resolve: 'oembed',
+      match: (u, ctx) => {
+        if (!isWhitelistedUrl(u, ctx.settings)) return null;
+        return parseYouTubeUrl(u);
+      }
+    },
+    {
+      id: 'twitch',
+      setting: 'enableTwitch',
+      resolve: 'liveStatus',
+      match: (u, ctx) => {
+        if (!isWhitelistedUrl(u, ctx.settings) || !/(twitch\.tv)/.test(u.hostname)) return null;
+        const m = extractTwitch(u);
+        return (m.channel || m.video || m.clip) ? m : null;
+      }
+    },
+    {
+      id: 'kick',
+      setting: 'enableKick',
+      resolve: 'liveStatus',
+      match: (u, ctx) => {
+        if (!isWhitelistedUrl(u, ctx.settings) || !/(^|\.)kick\.com$/i.test(u.hostname)) return null;
+        const m = extractKick(u);
+        return (m.channel || m.video || m.clip) ? m : null;
+      }
+    }
+  ];
+
+  /**
+   * Find the first enabled provider matching `url`. `ctx.linkText` is the
+   * anchor's text (used for bigscreen "#twitch/<channel>" links). Links to a
+   * blocked host never match. Returns `{ provider, match }` or null.
+   */
+  function matchProvider(url, ctx, settings) {
+    settings = settings || {};
+    if (isHostBlocked(url.hostname, settings)) return null;
+    const mctx = Object.assign({}, ctx, { settings });
+    for (const provider of PROVIDERS) {
+      if (provider.setting && !settings[provider.setting]) continue;
+      const match = provider.match(url, mctx);
+      if (match) return { provider, match };
+    }
+    return null;
+  }
+
+  /** Default values for every setting, keyed by storage key. */
+  function defaultSettings() {
+    const out = {};
+    SETTINGS.forEach(s => { out[s.key] = s.default; });
+    for (const [k, v] of Object.entries(OPTION_DEFAULTS)) out[k] = Array.isArray(v) ? v.slice() : v;
+    return out;
+  }
+
+  root.EDGG = {
+    SETTINGS,
+    PROVIDERS,
+    BUILTIN_MEDIA_HOSTS,
+    matchProvider,
+    defaultSettings,
+    normalizeHostPattern,
+    hostMatches,
+    isHostBlocked,
+    isMediaHostAllowed,
+    isPageFetchAllowed,
+    originForHostPattern,
+    normalizeUsername,
+    normalizeFlair,
+    SENSITIVITY_BEHAVIORS,
+    compileSensitivityRule,
+    matchSensitivityRule,
+    isTwitterImageUrl,
+    isTwitterVideoUrl,
+    isTweetUrlHost,
+    extractYouTubeId,
+    parseYouTubeUrl,
+    parseTimestamp,
+    youTubeEmbedUrl,
+    youTubePlayerHash,
+    parseYouTubePlayerHash,
+    extractTwitch,
+    extractKick,
+    extractDggBigscreenTwitch,
+    bigscreenHash,
+    extractTweetId,
+    parseBlueskyPostUrl,
+    canonicalizeInstagramUrl,
+    canonicalMediaKey
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : self);
@@ -0,0 +1,86 @@
+/**
+ * @file sites.js
+ *
+ * Chat frontend adapters. Loaded after providers.js and ahead of content.js,
+ * so the content script never hard-codes a chat's markup: everything it needs
+ * to know about the page (which element is a chat line, who wrote it, where
+ * the composer and chat settings live, how to tell if the viewer is logged
+ * in) comes from the adapter whose `matches(location)` accepts the page.
+ *
+ * An adapter declares:
+ * - `id`, `label`: for logs and docs.
+ * - `matches(loc)`: true for pages this adapter handles.
+ * - `line`: selector for one chat message; embeds are appended inside it.
+ * - `authorAttr` / `author`: attribute on the line holding the sender's name,
+ *   or failing that an element inside the line whose text is the name.
+ * - `text`: the message body within a line (sensitivity rules read this).
+ * - `flairs`: flair badges of the sender; `flairAttr` holds the flair id.
+ * - `scroller`: the scrolling chat lines container.
+ * - `moreBelow`: text of the "more messages below" banner.
+ * - `composer`, `composerInput`, `composerButton`, `loginLink`: the message
+ *   box frame, its input, the button our NSFW toggle sits before, and the
+ *   sign-in prompt shown to guests inside the composer.
+ * - `sessionEndpoint`: same-origin URL answering 200 + user JSON when logged
+ *   in and 401/403 otherwise.
+ * - `settingsKey` / `ignoreSetting`: localStorage key of the chat's own
+ *   settings and the entry inside it holding the ignore list.
+ * - `hideNsfl`, `hideNsfw`, `showRemoved`: the chat settings controls that
+ *   affect what gets embedded.
+ *
+ * Chats built on DGG's chat-gui (self-hosted forks) usually only differ in
+ * where they're served: add `chatSite(DGG_CHAT, { id, label, matches })` to
+ * CHAT_SITES and the page to the manifest's content_scripts matches. When
+ * DGG changes its markup, only DGG_CHAT needs updating.
+ */
+(function (root) {
+  // destiny.gg chat (chat-gui). The popout and the bigscreen iframe both load
+  // /embed/chat.
+  const DGG_CHAT = {
+    id: 'dgg',
+    label: 'destiny.gg chat',
+    matches: (loc) => /(^|\.)destiny\.gg$/i.test(loc.hostname) && (loc.pathname || '').startsWith('/embed/chat'),
+    line: '.msg-chat',
+    authorAttr: 'data-username',
+    author: '.user',
+    text: '.text',
+    flairs: '.features [data-flair]',
+    flairAttr: 'data-flair',
+    scroller: '.chat-lines',
+    moreBelow: /more messages below/i,
+    composer: '#chat-input-frame',
+    composerInput: '#chat-input-control',
+    composerButton: '#send-anyway-btn',
+    loginLink: 'a[href*="/login"]',
+    sessionEndpoint: '/api/chat/me',
+    settingsKey: 'chat.settings',
+    ignoreSetting: 'ignorenicks',
+    hideNsfl: 'input[name="hidensfl"]',
+    hideNsfw: 'input[name="hidensfw"]',
+    showRemoved: '#showremoved'
+  };
+
+  /** A profile based on `base` with some fields replaced. */
+  function chatSite(base, overrides) {
+    return Object.assign({}, base, overrides);
+  }
+
+  // Tried in order; the first match wins.
+  const CHAT_SITES = [
+    DGG_CHAT
+  ];
+
+  /** Adapter for the given location, or null if this page isn't a supported chat. */
+  function matchChatSite(loc) {
+    for (const site of CHAT_SITES) {
+      try { if (site.matches(loc)) return site; } catch (_) {}
+    }
+    return null;
+  }
+
+  Object.assign(root.EDGG, {
+    DGG_CHAT,
+    CHAT_SITES,
+    chatSite,
+    matchChatSite
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : self);